@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+/// Stand-in for a Magic Eden mint contract, deployed by `node mint.js rehearse`
+/// on a local node. It takes the same mintPublic/mintAllowlist calls as the
+/// ERC721 and ERC1155 contracts, enforces the stage schedule, price, wallet
+/// limit and supply, and emits the transfer events receipts are read from.
+/// Allowlist proofs are not checked.
+contract SampleMint {
+    struct Stage {
+        uint64 startTime;
+        uint64 endTime; // 0 when the stage has no end
+        uint256 price;
+        uint256 walletLimit; // 0 when there is no limit
+        bool allowlist;
+    }
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value);
+
+    error NotStarted();
+    error StageEnded();
+    error NotEnoughValue();
+    error WalletLimitExceeded();
+    error MaxSupplyExceeded();
+
+    Stage[] public stages;
+    uint256 private supplyCap; // 0 when supply is unlimited
+    uint256 private minted;
+    mapping(address => uint256) private mintedBy;
+    mapping(uint256 => uint256) private mintedOf;
+    mapping(uint256 => mapping(address => uint256)) private mintedOfBy;
+
+    constructor(Stage[] memory _stages, uint256 _maxSupply) {
+        for (uint256 i = 0; i < _stages.length; i++) {
+            stages.push(_stages[i]);
+        }
+        supplyCap = _maxSupply;
+    }
+
+    function mintPublic(address to, uint256 qty) external payable {
+        _mint721(to, qty, false);
+    }
+
+    function mintAllowlist(address to, uint256 qty, bytes32[] calldata) external payable {
+        _mint721(to, qty, true);
+    }
+
+    function mintPublic(address to, uint256 id, uint256 qty, bytes calldata) external payable {
+        _mint1155(to, id, qty, false);
+    }
+
+    function mintAllowlist(address to, uint256 id, uint256 qty, bytes32[] calldata) external payable {
+        _mint1155(to, id, qty, true);
+    }
+
+    function stageCount() external view returns (uint256) {
+        return stages.length;
+    }
+
+    function totalSupply() external view returns (uint256) {
+        return minted;
+    }
+
+    function totalSupply(uint256 id) external view returns (uint256) {
+        return mintedOf[id];
+    }
+
+    function maxSupply() external view returns (uint256) {
+        return supplyCap;
+    }
+
+    function maxSupply(uint256) external view returns (uint256) {
+        return supplyCap;
+    }
+
+    function numberMinted(address owner) external view returns (uint256) {
+        return mintedBy[owner];
+    }
+
+    function totalMintedByUser(address user, uint256 id) external view returns (uint256) {
+        return mintedOfBy[id][user];
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        return mintedBy[owner];
+    }
+
+    function balanceOf(address account, uint256 id) external view returns (uint256) {
+        return mintedOfBy[id][account];
+    }
+
+    function _mint721(address to, uint256 qty, bool allowlist) private {
+        _checkMint(to, qty, allowlist);
+        for (uint256 i = 1; i <= qty; i++) {
+            emit Transfer(address(0), to, minted + i);
+        }
+        minted += qty;
+        mintedBy[to] += qty;
+    }
+
+    function _mint1155(address to, uint256 id, uint256 qty, bool allowlist) private {
+        _checkMint(to, qty, allowlist);
+        minted += qty;
+        mintedBy[to] += qty;
+        mintedOf[id] += qty;
+        mintedOfBy[id][to] += qty;
+        emit TransferSingle(msg.sender, address(0), to, id, qty);
+    }
+
+    // Any open stage of the right kind that the payment and wallet limit fit will do
+    function _checkMint(address to, uint256 qty, bool allowlist) private view {
+        bool open;
+        bool ended;
+        bool upcoming;
+        bool paid;
+        for (uint256 i = 0; i < stages.length; i++) {
+            Stage storage stage = stages[i];
+            if (stage.allowlist != allowlist) continue;
+            if (stage.endTime != 0 && block.timestamp >= stage.endTime) {
+                ended = true;
+                continue;
+            }
+            if (block.timestamp < stage.startTime) {
+                upcoming = true;
+                continue;
+            }
+            open = true;
+            if (msg.value < stage.price * qty) continue;
+            paid = true;
+            if (stage.walletLimit != 0 && mintedBy[to] + qty > stage.walletLimit) continue;
+
+            if (supplyCap != 0 && minted + qty > supplyCap) revert MaxSupplyExceeded();
+            return;
+        }
+        if (!open && ended && !upcoming) revert StageEnded();
+        if (!open) revert NotStarted();
+        if (!paid) revert NotEnoughValue();
+        revert WalletLimitExceeded();
+    }
+}
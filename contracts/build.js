@@ -0,0 +1,63 @@
+// Compiles SampleMint.sol into src/sampleMint.js, the contract `rehearse` deploys.
+// With --check, fails when the committed file does not match the source instead
+// of writing it. solc is pinned in devDependencies so the output is reproducible.
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const solc = require('solc');
+
+const SOURCE_FILE = path.join(__dirname, 'SampleMint.sol');
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'sampleMint.js');
+const SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'paris',
+  outputSelection: { '*': { SampleMint: ['abi', 'evm.bytecode.object'] } },
+};
+
+function compile() {
+  const input = {
+    language: 'Solidity',
+    sources: { 'SampleMint.sol': { content: fs.readFileSync(SOURCE_FILE, 'utf8') } },
+    settings: SETTINGS,
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length) throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  const { abi, evm } = output.contracts['SampleMint.sol'].SampleMint;
+  return { abi, bytecode: `0x${evm.bytecode.object}` };
+}
+
+function render({ abi, bytecode }) {
+  const version = solc.version().split('+')[0];
+  const fragments = new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.full);
+  return `// Generated by contracts/build.js from contracts/SampleMint.sol with solc ${version}, optimizer on (${SETTINGS.optimizer.runs} runs), EVM version ${SETTINGS.evmVersion}. Do not edit.
+const SAMPLE_MINT_ABI = [
+${fragments.map(fragment => `  '${fragment}',`).join('\n')}
+];
+
+const SAMPLE_MINT_BYTECODE = '${bytecode}';
+
+module.exports = {
+  SAMPLE_MINT_ABI,
+  SAMPLE_MINT_BYTECODE,
+};
+`;
+}
+
+function main() {
+  const contents = render(compile());
+  const relative = path.relative(process.cwd(), OUTPUT_FILE);
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== contents) {
+      console.error(`➤ ${relative} does not match contracts/SampleMint.sol, rebuild it with: npm run build:contracts`);
+      process.exit(1);
+    }
+    console.log(`➤ ${relative} matches contracts/SampleMint.sol`);
+    return;
+  }
+  fs.writeFileSync(OUTPUT_FILE, contents);
+  console.log(`➤ Wrote ${relative}`);
+}
+
+main();
@@ -1,34 +1,15 @@
-const ethers = require('ethers');
-const puppeteer = require('puppeteer');
+const path = require('path');
 const dotenv = require('dotenv');
-const CONFIG = require("./utils/config.js");
 const displayHeader = require("./src/displayHeader.js");
-
-dotenv.config();
-displayHeader();
-
-const RPC_URL = CONFIG.RPC_URL;
-const EXPLORER_URL = 'https://testnet.monadexplorer.com/tx/';
-const GAS_LIMIT = 500000;
-const MAX_RETRY = 3;
-const RETRY_DELAY = 100;
-const GAS_MULTIPLIER = 2.5;
-
-const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const REQUEST_HEADERS = {
-  'accept': 'application/json, text/plain, */*',
-  'accept-encoding': 'gzip, deflate, br, zstd',
-  'accept-language': 'en-US,en;q=0.9,id;q=0.8',
-  'origin': 'https://magiceden.io',
-  'referer': 'https://magiceden.io/',
-  'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36',
-};
-
-function log(message) {
-  console.log(`➤ ${message}`);
-}
+const { loadSigners } = require('./src/wallets.js');
+const { USAGE, parseArgs, parsePositiveInt, parseInteger, parseAmount, jobDefaults, buildJobs } = require('./src/cli.js');
+const { createGasStrategy } = require('./src/gasStrategies.js');
+const { createMintEngine, WATCH_POLL_INTERVAL, LEDGER_FILE } = require('./src/engine.js');
+const { createLogger } = require('./src/logger.js');
+const { DEFAULT_HOST, DEFAULT_PORT, createControlServer } = require('./src/controlServer.js');
+const { loadWebhooks, parseEvents, createNotifier } = require('./src/webhooks.js');
+const { DEFAULT_FIXTURES_DIR, createFixtureRecorder, saveManifest } = require('./src/fixtures.js');
+const { DEFAULT_RPC_URL, DEFAULT_STARTS_IN_SECONDS, startRehearsal } = require('./src/rehearsal.js');
 
 function getUserInput(prompt) {
   return new Promise((resolve) => {
@@ -37,593 +18,176 @@ function getUserInput(prompt) {
   });
 }
 
-function detectLinkType(collectionLink) {
-  if (collectionLink.includes('/mint-terminal/')) {
-    return 'mint-terminal';
-  } else if (collectionLink.includes('/launchpad/')) {
-    return 'launchpad';
-  } else {
-    throw new Error('Invalid link: Must be either mint-terminal or launchpad');
-  }
-}
-
-function convertMintTerminalLinkToApiUrl(collectionLink) {
-  const match = collectionLink.match(/\/mint-terminal\/monad-testnet\/(0x[a-fA-F0-9]{40})/);
-  if (!match) throw new Error('Invalid Magic Eden mint-terminal link');
-  const contract = match[1];
-  return `https://api-mainnet.magiceden.io/v3/rtp/monad-testnet/tokens/v7?tokens[]=${contract}:0&limit=1`;
-}
-
-function convertLaunchpadLinkToApiUrl(collectionLink) {
-  const match = collectionLink.match(/\/launchpad\/(?:monad-testnet\/)?([^\/?]+)/);
-  if (!match) throw new Error('Invalid Magic Eden launchpad link');
-  const projectName = match[1];
-  return `https://api-mainnet.magiceden.io/launchpads/${projectName}?edge_cache=true`;
-}
-
-let globalBrowser = null;
-
-async function getBrowser() {
-  if (!globalBrowser) {
-    globalBrowser = await puppeteer.launch({ 
-      headless: true, 
-      args: ['--no-sandbox'],
-      ignoreHTTPSErrors: true,
-      defaultViewport: { width: 800, height: 600 }
-    });
-  }
-  return globalBrowser;
-}
-
-async function closeBrowser() {
-  if (globalBrowser) {
-    await globalBrowser.close();
-    globalBrowser = null;
-  }
-}
-
-async function fetchMintTerminalStartTime(collectionId) {
-  const apiUrl = 'https://api-mainnet.magiceden.io/v4/collections';
-  const payload = {
-    chain: 'monad-testnet',
-    collectionIds: [collectionId],
-    includeMintConfig: true
-  };
-
-  const browser = await getBrowser();
-  const page = await browser.newPage();
-
-  try {
-    await page.setExtraHTTPHeaders(REQUEST_HEADERS);
-    await page.setRequestInterception(true);
-
-    page.on('request', (request) => {
-      if (['image', 'stylesheet', 'font', 'media'].includes(request.resourceType())) {
-        request.abort();
-      } else if (request.url() === apiUrl) {
-        request.continue({
-          method: 'POST',
-          postData: JSON.stringify(payload),
-          headers: {
-            ...REQUEST_HEADERS,
-            'Content-Type': 'application/json'
-          }
-        });
-      } else {
-        request.continue();
-      }
-    });
-
-    await page.goto(apiUrl, { waitUntil: 'domcontentloaded' });
-    const rawResponse = await page.evaluate(() => document.body.textContent);
-
-    let jsonBody;
-    try {
-      jsonBody = JSON.parse(rawResponse);
-    } catch (error) {
-      log(`Error parsing response: ${error.message}`);
-      await page.close();
-      return null;
-    }
-
-    if (!jsonBody.collections || !jsonBody.collections.length) {
-      log('Failed to fetch start time: No collection data');
-      await page.close();
-      return null;
-    }
-
-    const mintConfig = jsonBody.collections[0]?.chainData?.mintConfig;
-    if (!mintConfig || !mintConfig.stages || !mintConfig.stages.length) {
-      log('No mint stages found in response');
-      await page.close();
-      return null;
-    }
-
-    const stages = mintConfig.stages.map((stage, index) => ({
-      startTime: new Date(stage.startTime).getTime() / 1000,
-      priceWei: ethers.BigNumber.from(stage.price.raw),
-      index: index
-    }));
-
-    await page.close();
-    return stages;
-  } catch (error) {
-    log(`Error fetching start time: ${error.message}`);
-    await page.close();
-    return null;
-  }
-}
-
-async function fetchLaunchpadDetails(apiUrl) {
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+function getHiddenInput(prompt) {
+  if (!process.stdin.isTTY) return getUserInput(prompt);
 
-  try {
-    await page.setExtraHTTPHeaders(REQUEST_HEADERS);
-    await page.setRequestInterception(true);
-
-    page.on('request', (request) => {
-      if (['image', 'stylesheet', 'font', 'media'].includes(request.resourceType())) {
-        request.abort();
-      } else {
-        request.continue();
+  return new Promise((resolve) => {
+    let input = '';
+    const onData = (data) => {
+      for (const char of data.toString()) {
+        if (char === '\u0003') process.exit(130);
+        if (char === '\r' || char === '\n') {
+          process.stdin.removeListener('data', onData);
+          process.stdin.setRawMode(false);
+          process.stdout.write('\n');
+          resolve(input);
+          return;
+        }
+        input = char === '\u007f' || char === '\b' ? input.slice(0, -1) : input + char;
       }
-    });
-
-    await page.goto(apiUrl, { waitUntil: 'domcontentloaded' });
-    const rawResponse = await page.evaluate(() => document.body.textContent);
-
-    let jsonBody;
-    try {
-      jsonBody = JSON.parse(rawResponse);
-    } catch (error) {
-      log(`Error parsing launchpad response: ${error.message}`);
-      throw new Error('Invalid API response format');
-    }
-
-    if (!jsonBody.evm || !jsonBody.evm.contractAddress || !jsonBody.evm.stages) {
-      log('Fetch error: Missing required launchpad data (evm, contractAddress, or stages)');
-      throw new Error('Invalid API response structure');
-    }
-
-    const stages = jsonBody.evm.stages.map((stage, index) => ({
-      startTime: new Date(stage.startTime).getTime() / 1000,
-      priceWei: ethers.utils.parseEther(stage.price[0]),
-      index: index
-    }));
-
-    const collection = {
-      collectionId: jsonBody.evm.contractAddress,
-      collectionName: jsonBody.name || 'Unnamed Launchpad',
-      isMinting: jsonBody.evm.status === 'live' || jsonBody.evm.status === 'upcoming',
-      protocol: jsonBody.contractType.toLowerCase() === 'erc1155' ? 'erc1155' : 'erc721',
-      tokenId: '0'
     };
 
-    await page.close();
-    return { collections: [collection], stages };
-  } catch (error) {
-    log(`Fetch error: ${error.message}`);
-    await page.close();
-    return null;
-  }
-}
-
-async function fetchMintTerminalLatestMints(apiUrl) {
-  const browser = await getBrowser();
-  const page = await browser.newPage();
-
-  try {
-    await page.setExtraHTTPHeaders(REQUEST_HEADERS);
-    await page.setRequestInterception(true);
-    page.on('request', (request) => {
-      if (['image', 'stylesheet', 'font', 'media'].includes(request.resourceType())) {
-        request.abort();
-      } else {
-        request.continue();
-      }
-    });
-    
-    await page.goto(apiUrl, { waitUntil: 'domcontentloaded' });
-    const rawResponse = await page.evaluate(() => document.body.textContent);
-
-    let jsonBody;
-    try {
-      jsonBody = JSON.parse(rawResponse);
-    } catch (error) {
-      log(`Error parsing v3 response: ${error.message}`);
-      throw new Error('Invalid API response');
-    }
-
-    if (!jsonBody || !jsonBody.tokens || !Array.isArray(jsonBody.tokens)) {
-      log('Fetch error: Invalid API response or no tokens found');
-      throw new Error('Invalid API response');
-    }
-
-    const collections = jsonBody.tokens.map(token => ({
-      collectionId: token.token.collection.id,
-      collectionName: token.token.collection.name || 'Unnamed Collection',
-      mintStages: token.token.mintStages || [],
-      isMinting: token.token.isMinting !== undefined ? token.token.isMinting : true,
-      protocol: token.token.kind || 'unknown',
-      tokenId: token.token.tokenId || '0'
-    }));
-    log(`Found ${collections.length} collections`);
-    await page.close();
-    return collections;
-  } catch (error) {
-    log(`Fetch error: ${error.message}`);
-    await page.close();
-    return [];
-  }
-}
-
-async function fetchMintTerminalCollectionsV4(collectionId) {
-  const apiUrl = 'https://api-mainnet.magiceden.io/v4/collections';
-  const payload = {
-    chain: 'monad-testnet',
-    collectionIds: [collectionId],
-    includeMintConfig: true
-  };
-
-  const browser = await getBrowser();
-  const page = await browser.newPage();
-
-  try {
-    await page.setExtraHTTPHeaders(REQUEST_HEADERS);
-    await page.setRequestInterception(true);
-
-    page.on('request', (request) => {
-      if (['image', 'stylesheet', 'font', 'media'].includes(request.resourceType())) {
-        request.abort();
-      } else if (request.url() === apiUrl) {
-        request.continue({
-          method: 'POST',
-          postData: JSON.stringify(payload),
-          headers: {
-            ...REQUEST_HEADERS,
-            'Content-Type': 'application/json'
-          }
-        });
-      } else {
-        request.continue();
-      }
-    });
-
-    await page.goto(apiUrl, { waitUntil: 'domcontentloaded' });
-    const rawResponse = await page.evaluate(() => document.body.textContent);
-
-    let jsonBody;
-    try {
-      jsonBody = JSON.parse(rawResponse);
-    } catch (error) {
-      log(`Error parsing v4 response: ${error.message}`);
-      throw new Error('Invalid API response');
-    }
-
-    if (!jsonBody || !jsonBody.collections || !Array.isArray(jsonBody.collections)) {
-      log('Fetch error: Invalid API response or no collections found in v4');
-      throw new Error('Invalid API response');
-    }
-
-    const collections = jsonBody.collections.map(collection => ({
-      collectionId: collection.id,
-      collectionName: collection.name || 'Unnamed Collection',
-      mintStages: collection.chainData?.mintConfig?.stages || [],
-      isMinting: true,
-      protocol: collection.collectionType?.toLowerCase() || 'erc721',
-      tokenId: '0'
-    }));
-
-    log(`Found ${collections.length} collections`);
-    await page.close();
-    return collections;
-  } catch (error) {
-    log(`Fetch error: ${error.message}`);
-    await page.close();
-    return [];
-  }
+    process.stdout.write(prompt);
+    process.stdin.setRawMode(true);
+    process.stdin.on('data', onData);
+  });
 }
 
-async function fetchLatestMintsOrLaunchpad(collectionLink) {
-  const linkType = detectLinkType(collectionLink);
-  let apiUrl;
-
-  if (linkType === 'mint-terminal') {
-    apiUrl = convertMintTerminalLinkToApiUrl(collectionLink);
-    let collections = await fetchMintTerminalLatestMints(apiUrl);
-
-    if (!collections.length) {
-      log('Fetch error: Invalid API response or no tokens found');
-      const contractMatch = collectionLink.match(/\/mint-terminal\/monad-testnet\/(0x[a-fA-F0-9]{40})/);
-      if (!contractMatch) {
-        log('Invalid contract address in URL');
-        return null;
-      }
-      const collectionId = contractMatch[1];
-      collections = await fetchMintTerminalCollectionsV4(collectionId);
-    }
+// Under a process manager or with JSON logs the banner and screen clear only get
+// in the way, so both are skipped unless writing text to a terminal.
+function configureOutput(options) {
+  const format = options.logFormat || process.env.LOG_FORMAT || 'text';
+  const level = options.logLevel || (options.quiet ? 'warn' : process.env.LOG_LEVEL || 'info');
+  const logger = createLogger({ level, format });
+  const notifier = createNotifier({
+    webhooks: loadWebhooks(process.env),
+    events: parseEvents(process.env.WEBHOOK_EVENTS),
+    onError: (error) => logger.warn(error.message)
+  });
 
-    return { linkType, collections, stages: null };
-  } else if (linkType === 'launchpad') {
-    apiUrl = convertLaunchpadLinkToApiUrl(collectionLink);
-    const result = await fetchLaunchpadDetails(apiUrl);
-    if (!result) return null;
-    return { linkType, collections: result.collections, stages: result.stages };
+  if (format === 'text' && !options.quiet) {
+    const noClear = options.noClear || process.env.NO_CLEAR === 'true';
+    displayHeader({ clear: !noClear && process.stdout.isTTY });
   }
+  return { logger, notifier };
 }
 
-async function checkAllowlistEligibility(collectionId) {
-  const apiUrl = 'https://api-mainnet.magiceden.io/v4/self_serve/nft/check_allowlist_eligibility';
-  const payload = {
-    collectionId: collectionId,
-    wallet: {
-      chain: 'monad-testnet',
-      address: wallet.address
-    }
-  };
-
-  const browser = await getBrowser();
-  const page = await browser.newPage();
-
+async function serve(engine, jobs, options, logger) {
+  const queue = engine.createJobQueue({
+    statePath: options.state,
+    pollIntervalMs: (parsePositiveInt(options.pollInterval, 'poll interval') || WATCH_POLL_INTERVAL) * 1000,
+    dryRun: Boolean(options.dryRun)
+  });
+  if (options.job) queue.add(jobs);
+
+  const server = createControlServer({
+    queue,
+    host: options.host || process.env.CONTROL_HOST || DEFAULT_HOST,
+    port: parsePositiveInt(options.port || process.env.CONTROL_PORT, 'port') || DEFAULT_PORT,
+    token: process.env.CONTROL_API_TOKEN || null,
+    jobDefaults: jobDefaults(options),
+    log: (message) => logger.warn(message)
+  });
+  const { url } = await server.listen();
+  logger.info(`Control API and status page on ${url}${queue.dryRun ? ' (dry run, state is not saved)' : ''}`);
   try {
-    await page.setExtraHTTPHeaders(REQUEST_HEADERS);
-    await page.setRequestInterception(true);
-
-    page.on('request', (request) => {
-      if (['image', 'stylesheet', 'font', 'media'].includes(request.resourceType())) {
-        request.abort();
-      } else if (request.url() === apiUrl) {
-        request.continue({
-          method: 'POST',
-          postData: JSON.stringify(payload),
-          headers: {
-            ...REQUEST_HEADERS,
-            'Content-Type': 'application/json'
-          }
-        });
-      } else {
-        request.continue();
-      }
-    });
-
-    await page.goto(apiUrl, { waitUntil: 'domcontentloaded' });
-    const rawResponse = await page.evaluate(() => document.body.textContent);
-
-    let jsonBody;
-    try {
-      jsonBody = JSON.parse(rawResponse);
-    } catch (error) {
-      log(`Error parsing allowlist response: ${error.message}`);
-      await page.close();
-      return false;
-    }
-
-    const isAllowlistEligible = jsonBody.stageIds && jsonBody.stageIds.length > 0;
-    await page.close();
-    return isAllowlistEligible;
-  } catch (error) {
-    log(`Error checking allowlist: ${error.message}`);
-    await page.close();
-    return false;
+    await queue.run({ idle: true });
+  } finally {
+    await server.close();
   }
 }
 
-let cachedGasData = null;
-async function getDynamicGas(forceRefresh = false) {
-  if (!cachedGasData || forceRefresh) {
-    const feeData = await provider.getFeeData();
-    cachedGasData = {
-      maxFeePerGas: feeData.maxFeePerGas.mul(Math.floor(GAS_MULTIPLIER * 100)).div(100),
-      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.mul(Math.floor(GAS_MULTIPLIER * 100)).div(100)
-    };
-  }
-  return cachedGasData;
-}
-
-function prepareMintTx({ collectionId, priceWei, protocol, tokenId }) {
-  const selector = protocol === 'erc1155' ? '0x9b4f3af5' : '0x9f93f779';
-  let calldata;
-
-  if (protocol === 'erc1155') {
-    const toPadded = ethers.utils.hexZeroPad(wallet.address, 32).slice(2);
-    const idPadded = ethers.utils.hexZeroPad(ethers.utils.hexlify(parseInt(tokenId)), 32).slice(2);
-    const amountPadded = ethers.utils.hexZeroPad('0x1', 32).slice(2);
-    const dataOffsetPadded = ethers.utils.hexZeroPad('0x80', 32).slice(2);
-    const dataLengthPadded = ethers.utils.hexZeroPad('0x0', 32).slice(2);
-    calldata = selector + toPadded + idPadded + amountPadded + dataOffsetPadded + dataLengthPadded;
-  } else {
-    const toPadded = ethers.utils.hexZeroPad(wallet.address, 32).slice(2);
-    const amountPadded = ethers.utils.hexZeroPad('0x1', 32).slice(2);
-    calldata = selector + toPadded + amountPadded;
-  }
-
-  return {
-    to: collectionId,
-    value: priceWei,
-    gasLimit: GAS_LIMIT,
-    data: calldata
+async function runCommand(command, options, { logger, notifier }) {
+  const engineOptions = {
+    logger,
+    notifier,
+    prompt: getUserInput,
+    promptSecret: getHiddenInput,
+    ledgerPath: options.ledger || process.env.LEDGER_FILE || LEDGER_FILE,
+    maxSpend: parseAmount(options.maxSpend || process.env.MAX_SPEND, 'max spend') || null
   };
-}
-
-async function prepareAllTransactions({ collectionId, priceWei, protocol, tokenId, mintCount }) {
-  const baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
-  const gasParams = await getDynamicGas(true);
-  const baseTx = prepareMintTx({ collectionId, priceWei, protocol, tokenId });
-  
-  const preparedTransactions = [];
-  
-  for (let i = 0; i < mintCount; i++) {
-    preparedTransactions.push({
-      ...baseTx,
-      ...gasParams,
-      nonce: baseNonce + i
-    });
+  if (command === 'report') {
+    createMintEngine(engineOptions).report({ csvPath: options.csv });
+    return;
   }
-  
-  return preparedTransactions;
-}
 
-async function mintOnChain({ collectionId, priceWei, collectionName, protocol, tokenId, mintCount }) {
-  log(`Minting ${mintCount} NFTs for ${collectionName}`);
-
-  const gasParams = await getDynamicGas(true);
-  const baseNonce = await provider.getTransactionCount(wallet.address, 'pending');
-  const baseTx = prepareMintTx({ collectionId, priceWei, protocol, tokenId });
-
-  const transactions = [];
-  for (let i = 0; i < mintCount; i++) {
-    transactions.push({
-      ...baseTx,
-      ...gasParams,
-      nonce: baseNonce + i
+  const jobs = buildJobs(options);
+  jobs.forEach(job => createGasStrategy(job));
+  logger.info('Starting Magic Eden Mint Bot');
+  const accounts = await loadSigners(process.env, {
+    promptPassword: (filePath) => getHiddenInput(`➤ Passphrase for ${filePath}: `)
+  });
+  const sources = accounts.reduce((counts, { source }) => {
+    const kind = source.split(':')[0];
+    return { ...counts, [kind]: (counts[kind] || 0) + 1 };
+  }, {});
+  logger.info(`Loaded ${accounts.length} wallet(s): ${Object.entries(sources).map(([kind, count]) => `${count} from ${kind}`).join(', ')}`);
+
+  const signers = accounts.map(({ signer }) => signer);
+  const fixturesDir = options.fixtures || DEFAULT_FIXTURES_DIR;
+  let recorder = null;
+  let rehearsal = null;
+  if (command === 'record') {
+    if (jobs.some(job => !job.link)) throw new Error('record needs --link, or a job file with a link for every job');
+    recorder = createFixtureRecorder(fixturesDir, { log: (message) => logger.debug(message) });
+  } else if (command === 'rehearse') {
+    // Rehearsals mint on the local node only, so their ledger stays apart and no webhooks fire
+    rehearsal = await startRehearsal({
+      fixturesDir,
+      rpcUrl: options.rpc || DEFAULT_RPC_URL,
+      startsInSeconds: parseInteger(options.startIn, 'start-in') ?? DEFAULT_STARTS_IN_SECONDS,
+      links: jobs.map(job => job.link).filter(Boolean),
+      signers,
+      log: (message) => logger.info(message)
     });
+    engineOptions.env = rehearsal.env;
+    engineOptions.ledgerPath = options.ledger || path.join(fixturesDir, 'rehearsal-ledger.jsonl');
+    engineOptions.notifier = createNotifier();
   }
 
-  const txPromises = transactions.map(async (txData, i) => {
-    try {
-      const txResponse = await wallet.sendTransaction(txData);
-      log(`Tx ${i + 1} sent: ${EXPLORER_URL}${txResponse.hash}`);
-      return txResponse;
-    } catch (error) {
-      log(`Tx ${i + 1} failed: ${error.message}`);
-      return null;
-    }
-  });
-
-  await Promise.all(txPromises);
-  log(`Minting ${collectionName} completed`);
-  await closeBrowser();
-  process.exit(0);
-}
-
-async function checkMintDetails({ linkType, collections, stages: launchpadStages }) {
-  log('Checking mint details');
-  let targetCollection = null;
-
-  for (const collection of collections) {
-    const { collectionId, collectionName, isMinting, protocol, tokenId } = collection;
-    log(`Minting status: ${isMinting} | Protocol: ${protocol}`);
-
-    if (!isMinting) {
-      log('Skipping: Minting not active');
-      continue;
-    }
-
-    let stages;
-    if (linkType === 'mint-terminal') {
-      stages = await fetchMintTerminalStartTime(collectionId);
-    } else if (linkType === 'launchpad') {
-      stages = launchpadStages;
-    }
-
-    const isAllowlistEligible = await checkAllowlistEligibility(collectionId);
-    log(`Allowlist eligibility: ${isAllowlistEligible ? 'Eligible' : 'Not eligible'}`);
-    const mintCount = parseInt(await getUserInput(`➤ Enter NFT mint count for ${collectionName}: `));
-    if (isNaN(mintCount) || mintCount <= 0) {
-      log('Invalid mint count input');
-      return null;
-    }
-
-    if (!stages) {
-      log('Failed to fetch launch time or price, aborting');
-      return null;
-    }
-
-    const now = Math.floor(Date.now() / 1000);
-    let selectedStage = null;
-
-    await getDynamicGas(true);
-
-    const allStagesPassed = stages.every(stage => stage.startTime <= now);
-    if (allStagesPassed) {
-      selectedStage = stages[stages.length - 1];
-      log(`All stages passed, using last stage: Start time ${new Date(selectedStage.startTime * 1000).toLocaleString()}, Price: ${ethers.utils.formatEther(selectedStage.priceWei)} MON`);
-      targetCollection = { collectionId, priceWei: selectedStage.priceWei, collectionName, protocol, tokenId, mintCount, isAllowlistEligible };
-    } else {
-      stages.forEach((stage, index) => {
-        log(`Stage ${index + 1} - Start time: ${new Date(stage.startTime * 1000).toLocaleString()}, Price: ${ethers.utils.formatEther(stage.priceWei)} MON`);
+  const engine = createMintEngine({ ...engineOptions, signers, recorder });
+  try {
+    if (command === 'fund') {
+      await engine.fund(jobs[0]);
+    } else if (command === 'collect') {
+      await engine.collect(jobs[0], { chainSlug: options.chain, to: options.to });
+    } else if (command === 'cancel') {
+      await engine.cancel(jobs[0], { chainSlug: options.chain });
+    } else if (command === 'record') {
+      await engine.mintAll(jobs.map(job => ({ ...job, dryRun: true })));
+      saveManifest(fixturesDir, { links: jobs.map(job => job.link) });
+      logger.info(`Recorded ${recorder.count()} response(s) to ${fixturesDir}, rehearse with: node mint.js rehearse --fixtures ${fixturesDir}`);
+    } else if (command === 'rehearse') {
+      await engine.mintAll(jobs.some(job => job.link) ? jobs : rehearsal.links.map(link => ({ ...jobs[0], link })));
+    } else if (command === 'serve') {
+      await serve(engine, jobs, options, logger);
+    } else if (command === 'watch') {
+      await engine.watch(jobs, {
+        statePath: options.state,
+        pollIntervalMs: (parsePositiveInt(options.pollInterval, 'poll interval') || WATCH_POLL_INTERVAL) * 1000
       });
-      const stageChoice = parseInt(await getUserInput(`➤ Select stage to mint (1-${stages.length}): `));
-      if (isNaN(stageChoice) || stageChoice < 1 || stageChoice > stages.length) {
-        log('Invalid stage selection, aborting');
-        return null;
-      }
-      selectedStage = stages[stageChoice - 1];
-      log(`Selected stage ${stageChoice}: Start time ${new Date(selectedStage.startTime * 1000).toLocaleString()}, Price: ${ethers.utils.formatEther(selectedStage.priceWei)} MON`);
-
-      if (selectedStage.startTime > now) {
-        const waitMs = (selectedStage.startTime - now) * 1000;
-        log(`Preparing for launch in ${waitMs / 1000}s: ${collectionName} at ${new Date(selectedStage.startTime * 1000).toLocaleString()}`);
-
-        const preparedTxs = await prepareAllTransactions({ 
-          collectionId, 
-          priceWei: selectedStage.priceWei, 
-          protocol, 
-          tokenId, 
-          mintCount 
-        });
-        log(`${preparedTxs.length} transactions pre-prepared`);
-
-        await new Promise(resolve => {
-          setTimeout(async () => {
-            await mintOnChain({ 
-              collectionId, 
-              priceWei: selectedStage.priceWei, 
-              collectionName, 
-              protocol, 
-              tokenId, 
-              mintCount 
-            });
-            resolve();
-          }, Math.max(waitMs - 50, 0));
-        });
-
-        return null;
-      } else {
-        log(`Launch time already passed, proceeding immediately: ${collectionName}`);
-        targetCollection = { collectionId, priceWei: selectedStage.priceWei, collectionName, protocol, tokenId, mintCount, isAllowlistEligible };
-      }
+    } else {
+      await engine.mintAll(jobs);
     }
-    break;
+  } finally {
+    await engine.close();
+    if (rehearsal) await rehearsal.close();
   }
-
-  if (!targetCollection || !['erc1155', 'erc721'].includes(targetCollection.protocol)) {
-    log('Error: No eligible collection or unsupported protocol');
-    return null;
-  }
-
-  return targetCollection;
 }
 
-async function runBot() {
-  log('Starting Magic Eden Mint Bot');
-  
+async function runBot(argv = process.argv.slice(2)) {
+  dotenv.config();
+  let output = { logger: createLogger(), notifier: createNotifier() };
   try {
-    const collectionLink = await getUserInput('➤ Enter Magic Eden collection link: ');
-    const fetchResult = await fetchLatestMintsOrLaunchpad(collectionLink);
-    if (!fetchResult || !fetchResult.collections.length) {
-      log('No collections found');
-      await closeBrowser();
-      process.exit(0);
-      return;
-    }
-
-    const { linkType, collections, stages } = fetchResult;
-    log(`Detected link type: ${linkType}`);
-
-    const eligibleCollection = await checkMintDetails({ linkType, collections, stages });
-    if (eligibleCollection) {
-      await mintOnChain(eligibleCollection);
-    } else {
-      await closeBrowser();
-      process.exit(0);
-    }
+    const { command, options } = parseArgs(argv);
+    output = configureOutput(options);
+    if (command === 'help') {
+      console.log(USAGE);
+      return 0;
+    }
+    await runCommand(command, options, output);
+    return 0;
   } catch (error) {
-    log(`Bot crashed: ${error.message}`);
-    await closeBrowser();
-    process.exit(1);
+    if (error.showUsage) console.error(USAGE);
+    output.logger.error(`Bot crashed: ${error.message}`);
+    return 1;
+  } finally {
+    await output.notifier.flush();
   }
 }
 
-runBot();
+if (require.main === module) {
+  runBot().then(code => process.exit(code));
+}
+
+module.exports = { runBot };
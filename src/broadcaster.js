@@ -0,0 +1,154 @@
+const { buildSelfTransferTx } = require('./transactions.js');
+
+const DEFAULT_CONCURRENCY = 10;
+
+// Failures that say nothing about the transaction itself, so another mint may take the nonce
+const REFILLABLE_REASONS = ['not-started', 'underpriced', 'not-included', 'timeout', 'network', 'nonce-gap'];
+
+// At most `limit` slots are handed out at once, to callers in the order they asked
+function createLimiter(limit = DEFAULT_CONCURRENCY) {
+  let active = 0;
+  const waiting = [];
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  }
+
+  function acquire() {
+    if (active < limit) {
+      active += 1;
+      return Promise.resolve(release);
+    }
+    return new Promise(resolve => waiting.push(() => resolve(release)));
+  }
+
+  return { limit, acquire };
+}
+
+function feeFields({ gasPrice, maxFeePerGas, maxPriorityFeePerGas }) {
+  return gasPrice ? { gasPrice } : { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+function notSent(tx, message) {
+  return { nonce: tx.nonce, hash: null, attempts: 0, status: 'failed', reason: 'not-sent', message, tokenIds: [], tokens: [] };
+}
+
+/**
+ * @typedef {Object} BroadcastResult
+ * @property {Array<Object>} results One result per transaction, in input order
+ * @property {Array<Object>} fillers Results of the self-transfers sent to close nonce gaps
+ * @property {string|null} halted Why the remaining transactions were not sent, null when all were
+ */
+
+// Transactions are released in nonce order, holding one of the limiter's slots from
+// broadcast until they settle. A nonce the node rejected outright blocks every later
+// one, so it is refilled with the last transaction still queued, or with a zero-value
+// self-transfer once no mint can take it. A nonce used by someone else, or a pending
+// nonce that falls below the reserved range, means the wallet is being used
+// elsewhere: nothing more is sent.
+/** @returns {Promise<BroadcastResult>} */
+async function broadcastTransactions(wallet, transactions, {
+  send,
+  signedTransactions = [],
+  limiter = createLimiter(Infinity),
+  log = () => {},
+} = {}) {
+  const results = new Array(transactions.length);
+  const fillers = [];
+  const queue = transactions.map((tx, index) => ({ tx, index, signedTx: signedTransactions[index] || null }));
+  const firstNonce = transactions.length ? transactions[0].nonce : null;
+  let highestSent = -1;
+  let refillWithMints = true;
+  let halted = null;
+
+  const halt = (message) => {
+    if (halted) return;
+    halted = message;
+    log(`${message}, not sending the remaining ${queue.length} transaction(s)`);
+  };
+
+  async function withSlot(fn) {
+    const release = await limiter.acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  async function closeGap(tx, result, { refill }) {
+    if (result.status !== 'failed') return;
+    if (result.reason === 'nonce-used') {
+      halt(`Nonce ${tx.nonce} was used by another transaction`);
+      return;
+    }
+    // Broadcast but never mined: the nonce is still held in the mempool
+    if (result.attempts) return;
+
+    if (result.reason === 'nonce-gap') {
+      const pending = await wallet.provider.getTransactionCount(wallet.address, 'pending').catch(() => null);
+      if (pending !== null && pending < firstNonce) {
+        halt(`Pending nonce fell to ${pending}, below the first reserved nonce ${firstNonce}`);
+        return;
+      }
+    }
+    if (halted) return;
+    if (refill) refillWithMints = false;
+
+    if (refillWithMints && queue.length && REFILLABLE_REASONS.includes(result.reason)) {
+      const item = queue.pop();
+      log(`Nonce ${tx.nonce} was rejected (${result.reason}), refilling it with tx ${item.index + 1}`);
+      // Anything signed ahead was signed for the old nonce
+      await run({ ...item, tx: { ...item.tx, nonce: tx.nonce }, signedTx: null }, await limiter.acquire(), { refill: true });
+      return;
+    }
+    if (tx.nonce >= highestSent && !queue.length) return;
+
+    log(`Nonce ${tx.nonce} was rejected (${result.reason}), filling it with a zero-value self-transfer`);
+    const filler = buildSelfTransferTx({ chainId: tx.chainId, address: wallet.address, nonce: tx.nonce }, feeFields(tx));
+    const fillerResult = await withSlot(() => send(filler, { kind: 'filler' }));
+    fillers.push(fillerResult);
+    if (fillerResult.status === 'failed' && !fillerResult.attempts) {
+      halt(`Nonce ${tx.nonce} could not be filled (${fillerResult.reason}), later nonces stay stuck until it is`);
+    }
+  }
+
+  async function run(item, release, { refill = false } = {}) {
+    highestSent = Math.max(highestSent, item.tx.nonce);
+    let result;
+    try {
+      result = await send(item.tx, { kind: 'mint', index: item.index, signedTx: item.signedTx });
+    } finally {
+      release();
+    }
+    results[item.index] = result;
+    await closeGap(item.tx, result, { refill });
+  }
+
+  const running = [];
+  while (queue.length && !halted) {
+    const release = await limiter.acquire();
+    if (!queue.length || halted) {
+      release();
+      break;
+    }
+    running.push(run(queue.shift(), release));
+  }
+  await Promise.all(running);
+
+  queue.splice(0).forEach((item) => {
+    results[item.index] = notSent(item.tx, halted);
+  });
+  return { results, fillers, halted };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  createLimiter,
+  broadcastTransactions,
+};
@@ -0,0 +1,52 @@
+const CONFIG = require('../utils/config.js');
+
+/**
+ * @typedef {Object} Chain
+ * @property {string} slug Magic Eden chain slug, e.g. monad-testnet
+ * @property {number} chainId
+ * @property {Array<string>} rpcUrls
+ * @property {string} explorerUrl Transaction URL prefix
+ * @property {string} symbol Native currency symbol
+ */
+
+function rpcOverrideName(slug) {
+  return `RPC_URLS_${slug.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/** @returns {Chain} */
+function getChain(slug = CONFIG.DEFAULT_CHAIN, env = process.env) {
+  const entry = CONFIG.CHAINS[slug];
+  if (!entry) {
+    throw new Error(`Unsupported chain: ${slug} (known: ${Object.keys(CONFIG.CHAINS).join(', ')})`);
+  }
+
+  // RPC_URLS_<SLUG> overrides one chain; plain RPC_URLS keeps applying to the default chain
+  const override = env[rpcOverrideName(slug)]
+    || (slug === CONFIG.DEFAULT_CHAIN ? env.RPC_URLS : undefined);
+  const rpcUrls = override ? override.split(',').map(url => url.trim()).filter(Boolean) : entry.rpcUrls;
+
+  return { slug, ...entry, rpcUrls };
+}
+
+function isKnownChain(slug) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.CHAINS, slug);
+}
+
+function explorerTxUrl(chain, hash) {
+  return `${chain.explorerUrl}${hash}`;
+}
+
+async function assertChainId(provider, chain) {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== chain.chainId) {
+    throw new Error(`RPC is connected to chain ${chainId}, expected ${chain.chainId} for ${chain.slug}`);
+  }
+}
+
+module.exports = {
+  rpcOverrideName,
+  getChain,
+  isKnownChain,
+  explorerTxUrl,
+  assertChainId,
+};
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseTokenIds } = require('./links.js');
+
+const COMMANDS = ['mint', 'watch', 'serve', 'report', 'fund', 'collect', 'cancel', 'record', 'rehearse', 'help'];
+
+const FLAG_ALIASES = {
+  l: 'link',
+  c: 'count',
+  s: 'stage',
+  j: 'job',
+  y: 'yes',
+  h: 'help',
+};
+
+const BOOLEAN_FLAGS = ['yes', 'dry-run', 'broadcast-all', 'quiet', 'no-clear', 'help'];
+const VALUE_FLAGS = ['link', 'count', 'stage', 'token-id', 'wallets', 'job', 'launch-offset', 'max-price', 'max-spend', 'gas', 'gas-price', 'priority-fee', 'max-fee', 'escalate-blocks', 'concurrency', 'vault', 'sweep-gas-budget', 'chain', 'to', 'state', 'poll-interval', 'host', 'port', 'fixtures', 'rpc', 'start-in', 'ledger', 'csv', 'log-level', 'log-format'];
+
+const USAGE = `Usage: node mint.js [command] [options]
+
+Commands:
+  mint                 Mint from a Magic Eden link (default)
+  watch                Keep polling the jobs and mint each one when its stage
+                       opens; progress is saved to the state file
+  serve                Run watch mode behind a local HTTP API and status page,
+                       taking new jobs while it runs
+  report               Summarize recorded mints per collection and per wallet
+  fund                 Top up each wallet from the treasury with what it is
+                       short for the job's stage price, count and gas
+  collect              Send each wallet's balance, minus the transfer gas, back
+                       to the treasury (or --to)
+  cancel               Replace each wallet's pending transactions with
+                       zero-value self-transfers at a higher fee
+  record               Dry-run the mint and save every Magic Eden response to
+                       the fixtures directory
+  rehearse             Mint against recorded fixtures and a local node, with a
+                       sample contract standing in for the collection
+  help                 Show this message
+
+Options:
+  -l, --link <url>     Magic Eden mint-terminal, launchpad, collection or item
+                       link, or a contract address (chain:0x... for another chain)
+  -c, --count <n>      NFTs to mint per wallet, or one per stage comma-separated
+  -s, --stage <n>      Stage number to mint (1-based), or several comma-separated
+                       to mint them in one run
+      --token-id <ids> ERC1155 token ID(s) to mint, comma-separated
+      --wallets <addresses>
+                       Only mint from these loaded wallets, comma-separated
+  -j, --job <file>     JSON or YAML job file describing one or more mints
+      --max-price <amount>
+                       Skip stages priced above this, in the chain's currency
+      --max-spend <amount>
+                       Cap the run's total spend per chain, value plus gas
+      --gas <strategy> multiplier (default), fixed, fee-history or aggressive
+      --gas-price <gwei>
+                       Max fee per gas for the fixed strategy
+      --priority-fee <gwei>
+                       Priority fee for the fixed strategy (default: gas price)
+      --max-fee <gwei> Hard ceiling on the max fee per gas, including bumps
+      --escalate-blocks <n>
+                       Replace a pending transaction at a higher fee when it is
+                       not included within n blocks (aggressive default 2)
+      --concurrency <n>
+                       Most transactions in flight at once across all wallets
+                       (default 10)
+      --launch-offset <ms>
+                       Release pre-signed transactions this many ms relative to
+                       the expected launch block (default -200)
+      --state <file>   Watch mode state file (default .mint-state.json)
+      --poll-interval <s>
+                       Seconds between watch mode polls (default 30)
+      --host <host>    With serve, the address to listen on (default 127.0.0.1)
+      --port <port>    With serve, the port to listen on (default 8787)
+      --fixtures <dir> With record or rehearse, the fixtures directory
+                       (default .mint-fixtures)
+      --rpc <url>      With rehearse, the local node (default http://127.0.0.1:8545)
+      --start-in <s>   With rehearse, seconds until the next recorded stage
+                       starts (default 60)
+      --ledger <file>  Mint ledger to append to or report on (default mint-ledger.jsonl)
+      --csv <file>     With report, also write the summary as CSV
+      --vault <address>
+                       After minting, send the minted NFTs to this address
+      --sweep-gas-budget <amount>
+                       Most gas the sweep may spend, in the chain's currency
+      --chain <slug>   With collect or cancel, the chain to use (default monad-testnet)
+      --to <address>   With collect, where to send balances instead of the treasury
+  -y, --yes            Skip the confirmation prompt
+      --dry-run        Prepare transactions without broadcasting them
+      --broadcast-all  Send each signed transaction to every RPC endpoint at once
+      --log-level <level>
+                       debug, info (default), warn, error or silent
+      --log-format <format>
+                       text (default) or json for one JSON object per line
+      --quiet          Only log warnings and errors, and skip the banner
+      --no-clear       Keep the terminal contents instead of clearing on start
+  -h, --help           Show this message
+
+Prompts are only shown for values that are not given as flags or in the job file.`;
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      [name, value] = arg.slice(2).split(/=(.*)/s);
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      name = FLAG_ALIASES[arg.slice(1)];
+      if (!name) throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (!BOOLEAN_FLAGS.includes(name) && !VALUE_FLAGS.includes(name)) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (BOOLEAN_FLAGS.includes(name)) {
+      options[toCamelCase(name)] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || (value.startsWith('-') && !/^-\d/.test(value))) throw new Error(`Missing value for --${name}`);
+      i++;
+    }
+    options[toCamelCase(name)] = value;
+  }
+
+  let command = 'mint';
+  if (options.help) {
+    command = 'help';
+  } else if (positionals.length) {
+    if (!COMMANDS.includes(positionals[0])) {
+      throw Object.assign(new Error(`Unknown command: ${positionals[0]}`), { showUsage: true });
+    }
+    command = positionals.shift();
+  }
+
+  return { command, options, positionals };
+}
+
+function parsePositiveInt(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parsed;
+}
+
+function parseInteger(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parsed;
+}
+
+function parseAmount(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return text;
+}
+
+function parseAddress(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(String(value))) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return String(value);
+}
+
+function parseAddressList(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const addresses = (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => String(address).trim())
+    .filter(Boolean)
+    .map(address => parseAddress(address, label));
+  return addresses.length ? addresses : undefined;
+}
+
+function parsePositiveIntList(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => parsePositiveInt(entry, label));
+}
+
+// Several stages in one job: a `targets` list with a stage, count and max price
+// each, or a stage list (`--stage 1,2`) taking one count for all or one per stage.
+// The job's own stage or targets beat those from the defaults.
+function normalizeTargets(raw, defaults) {
+  const source = raw.targets !== undefined || raw.stage !== undefined ? raw : defaults;
+  const count = raw.count !== undefined ? raw.count : defaults.count;
+  const maxPrice = raw.maxPrice !== undefined ? raw.maxPrice : defaults.maxPrice;
+
+  if (source.targets !== undefined && source.targets !== null) {
+    if (!Array.isArray(source.targets) || !source.targets.length) {
+      throw new Error('targets must be a list of { stage, count, maxPrice }');
+    }
+    return source.targets.map((target) => {
+      if (!target || typeof target !== 'object' || !parsePositiveInt(target.stage, 'stage')) {
+        throw new Error('Every target needs a stage');
+      }
+      return {
+        stage: parsePositiveInt(target.stage, 'stage'),
+        count: parsePositiveInt(target.count !== undefined ? target.count : count, 'count'),
+        maxPrice: parseAmount(target.maxPrice !== undefined ? target.maxPrice : maxPrice, 'max price'),
+      };
+    });
+  }
+
+  const stages = parsePositiveIntList(source.stage, 'stage');
+  if (!stages || stages.length < 2) return undefined;
+  const counts = parsePositiveIntList(count, 'count');
+  if (counts && counts.length > 1 && counts.length !== stages.length) {
+    throw new Error(`Give one count, or one per stage (${stages.length} stages)`);
+  }
+  return stages.map((stage, i) => ({
+    stage,
+    count: counts ? counts[counts.length > 1 ? i : 0] : undefined,
+    maxPrice: parseAmount(maxPrice, 'max price'),
+  }));
+}
+
+function normalizeJob(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') throw new Error('Job entries must be objects');
+  const targets = normalizeTargets(raw, defaults);
+
+  return {
+    link: raw.link || defaults.link,
+    count: targets ? undefined : parsePositiveInt(raw.count !== undefined ? raw.count : defaults.count, 'count'),
+    stage: targets ? undefined : parsePositiveInt(raw.stage !== undefined ? raw.stage : defaults.stage, 'stage'),
+    targets,
+    tokenIds: parseTokenIds(raw.tokenIds ?? raw.tokenId ?? defaults.tokenIds ?? defaults.tokenId),
+    wallets: parseAddressList(raw.wallets !== undefined ? raw.wallets : defaults.wallets, 'wallet address'),
+    launchOffset: parseInteger(raw.launchOffset !== undefined ? raw.launchOffset : defaults.launchOffset, 'launch offset'),
+    maxPrice: parseAmount(raw.maxPrice !== undefined ? raw.maxPrice : defaults.maxPrice, 'max price'),
+    gas: raw.gas || defaults.gas,
+    gasPrice: parseAmount(raw.gasPrice !== undefined ? raw.gasPrice : defaults.gasPrice, 'gas price'),
+    priorityFee: parseAmount(raw.priorityFee !== undefined ? raw.priorityFee : defaults.priorityFee, 'priority fee'),
+    maxFee: parseAmount(raw.maxFee !== undefined ? raw.maxFee : defaults.maxFee, 'max fee'),
+    escalateBlocks: parsePositiveInt(raw.escalateBlocks !== undefined ? raw.escalateBlocks : defaults.escalateBlocks, 'escalate blocks'),
+    concurrency: parsePositiveInt(raw.concurrency !== undefined ? raw.concurrency : defaults.concurrency, 'concurrency'),
+    vault: parseAddress(raw.vault || defaults.vault, 'vault address'),
+    sweepGasBudget: parseAmount(raw.sweepGasBudget !== undefined ? raw.sweepGasBudget : defaults.sweepGasBudget, 'sweep gas budget'),
+    yes: Boolean(raw.yes !== undefined ? raw.yes : defaults.yes),
+    dryRun: Boolean(raw.dryRun !== undefined ? raw.dryRun : defaults.dryRun),
+    broadcastAll: Boolean(raw.broadcastAll !== undefined ? raw.broadcastAll : defaults.broadcastAll),
+  };
+}
+
+function loadJobFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let parsed;
+  try {
+    parsed = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid job file ${filePath}: ${error.message}`);
+  }
+
+  if (Array.isArray(parsed)) return { defaults: {}, jobs: parsed };
+  if (parsed && Array.isArray(parsed.jobs)) {
+    const { jobs, ...defaults } = parsed;
+    return { defaults, jobs };
+  }
+  if (parsed && typeof parsed === 'object') return { defaults: {}, jobs: [parsed] };
+  throw new Error(`Invalid job file ${filePath}: expected a job, a list of jobs or { jobs: [...] }`);
+}
+
+// Job values given as flags. They override the job file's top-level defaults,
+// and a value set on a job entry itself overrides them in turn
+function jobDefaults(options) {
+  return {
+    link: options.link,
+    count: options.count,
+    stage: options.stage,
+    tokenIds: options.tokenId,
+    wallets: options.wallets,
+    launchOffset: options.launchOffset,
+    maxPrice: options.maxPrice,
+    gas: options.gas,
+    gasPrice: options.gasPrice,
+    priorityFee: options.priorityFee,
+    maxFee: options.maxFee,
+    escalateBlocks: options.escalateBlocks,
+    concurrency: options.concurrency,
+    vault: options.vault,
+    sweepGasBudget: options.sweepGasBudget,
+    yes: options.yes,
+    dryRun: options.dryRun,
+    broadcastAll: options.broadcastAll,
+  };
+}
+
+function buildJobs(options) {
+  const flagDefaults = jobDefaults(options);
+
+  if (!options.job) return [normalizeJob({}, flagDefaults)];
+
+  const { defaults, jobs } = loadJobFile(options.job);
+  if (!jobs.length) throw new Error(`Job file ${options.job} contains no jobs`);
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(flagDefaults)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return jobs.map(job => normalizeJob(job, merged));
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  parsePositiveInt,
+  parseInteger,
+  parseAmount,
+  normalizeJob,
+  jobDefaults,
+  loadJobFile,
+  buildJobs,
+};
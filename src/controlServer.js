@@ -0,0 +1,290 @@
+const http = require('http');
+const crypto = require('crypto');
+const { normalizeJob } = require('./cli.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 64 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const PAGE_REFRESH_SECONDS = 5;
+
+const JOB_STATES = {
+  pending: 'scheduled',
+  preparing: 'running',
+  minting: 'running',
+};
+
+/**
+ * @typedef {Object} JobView
+ * @property {string} id
+ * @property {string} state scheduled, running or finished
+ * @property {string} status Job store status: pending, preparing, minting, done, failed, skipped, interrupted or cancelled
+ * @property {number|null} startsInSeconds Countdown to the stage's start time, for scheduled jobs that know it
+ * @property {Array<Object>} [results] Per wallet counts and transactions, once minted
+ */
+
+/** @returns {JobView} */
+function describeJob(job, nowMs = Date.now()) {
+  const state = JOB_STATES[job.status] || 'finished';
+  const startsInSeconds = state === 'scheduled' && job.startTime
+    ? Math.max(Math.round(job.startTime - nowMs / 1000), 0)
+    : null;
+  return { ...job, state, startsInSeconds };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCountdown(seconds) {
+  if (seconds === null) return 'waiting for stage';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours ? `${hours}h ` : ''}${hours || minutes ? `${minutes}m ` : ''}${seconds % 60}s`;
+}
+
+function renderTransactions(job) {
+  const transactions = (job.results || []).flatMap(({ address, transactions: walletTxs = [] }) =>
+    walletTxs.map(tx => ({ address, ...tx })));
+  if (!transactions.length) return '';
+  return `<ul>${transactions.map(({ address, nonce, hash, status, reason, blockNumber }) => `<li>${escapeHtml(address.slice(0, 10))} nonce ${escapeHtml(nonce)}: ${escapeHtml(status)}${reason ? ` (${escapeHtml(reason)})` : ''}${blockNumber ? `, block ${escapeHtml(blockNumber)}` : ''}${hash ? ` <code>${escapeHtml(hash)}</code>` : ''}</li>`).join('')}</ul>`;
+}
+
+function renderPage(jobs) {
+  const section = (state, title) => {
+    const rows = jobs.filter(job => job.state === state);
+    const body = rows.length
+      ? rows.map(job => `<tr><td><code>${escapeHtml(job.id)}</code></td><td>${escapeHtml(job.link)}</td><td>${escapeHtml(job.stage)}</td><td>${escapeHtml(job.count)}</td><td>${escapeHtml(job.status)}${job.reason ? ` (${escapeHtml(job.reason)})` : ''}</td><td>${state === 'scheduled' ? escapeHtml(formatCountdown(job.startsInSeconds)) : escapeHtml(job.succeeded !== undefined ? `${job.succeeded} minted` : '')}${renderTransactions(job)}</td></tr>`).join('')
+      : '<tr><td colspan="6">None</td></tr>';
+    return `<h2>${title} (${rows.length})</h2><table><tr><th>ID</th><th>Link</th><th>Stage</th><th>Count</th><th>Status</th><th>${state === 'scheduled' ? 'Starts in' : 'Result'}</th></tr>${body}</table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${PAGE_REFRESH_SECONDS}">
+<title>Magic Eden Mint Bot</title>
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;width:100%;margin-bottom:2em}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}ul{margin:4px 0;padding-left:1.2em}</style>
+</head>
+<body>
+<h1>Magic Eden Mint Bot</h1>
+<p>Updated ${escapeHtml(new Date().toLocaleString())}</p>
+${section('running', 'Running')}
+${section('scheduled', 'Scheduled')}
+${section('finished', 'Finished')}
+</body>
+</html>
+`;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function hostName(value) {
+  try {
+    return new URL(`http://${value}`).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function originHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Any web page open on this machine can send requests to localhost, and a
+// rebound DNS name can reach it too. A tokenless server only answers to a
+// loopback Host, and requests from another origin are refused.
+function refuseBrowserRequest(req, token) {
+  if (!token && !LOOPBACK_HOSTS.includes(hostName(req.headers.host || ''))) {
+    return 'Without CONTROL_API_TOKEN only loopback Host headers are accepted';
+  }
+  const { origin } = req.headers;
+  if (origin && originHost(origin) !== req.headers.host) {
+    return `Cross-origin requests are refused (Origin ${origin})`;
+  }
+  return null;
+}
+
+// Browsers only send application/json to another origin after a CORS preflight, which this server never answers
+function isJsonRequest(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+}
+
+function tokenMatches(expected, given) {
+  if (!given) return false;
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(given);
+  return expectedBuffer.length === givenBuffer.length && crypto.timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+/**
+ * Local HTTP API over a job queue from `engine.createJobQueue`:
+ * - `GET /` status page
+ * - `GET /api/jobs[?state=scheduled|running|finished]`
+ * - `POST /api/jobs` with a job (link, stage, count, wallets, maxPrice, ...)
+ * - `GET /api/jobs/<id>`
+ * - `POST /api/jobs/<id>/cancel` for a job that is still scheduled
+ *
+ * With a token, every request needs `Authorization: Bearer <token>` or `?token=<token>`.
+ * Requests from another origin, and jobs not sent as application/json, are refused.
+ * Listening beyond loopback without a token is refused: the API spends from every wallet.
+ */
+function createControlServer({ queue, host = DEFAULT_HOST, port = DEFAULT_PORT, token = null, jobDefaults = {}, log = () => {} }) {
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Set CONTROL_API_TOKEN to listen on ${host}: anyone who can reach the API can mint from every wallet`);
+  }
+
+  const listJobs = () => {
+    const nowMs = Date.now();
+    return queue.list().map(job => describeJob(job, nowMs));
+  };
+
+  async function submitJob(req, res) {
+    if (!isJsonRequest(req)) {
+      sendJson(res, 415, { error: 'Send the job as Content-Type: application/json' });
+      return;
+    }
+    try {
+      // Submitted jobs always name their own link
+      const job = normalizeJob(await readJsonBody(req), { ...jobDefaults, link: undefined });
+      const { created, job: record } = queue.submit(job);
+      if (!created) {
+        sendJson(res, 409, { error: `Job already exists with status ${record.status}`, job: describeJob(record) });
+        return;
+      }
+      sendJson(res, 201, { job: describeJob(record) });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  }
+
+  function cancelJob(res, id) {
+    const job = queue.get(id);
+    if (!job) {
+      sendJson(res, 404, { error: `No job ${id}` });
+      return;
+    }
+    if (job.status !== 'pending') {
+      sendJson(res, 409, { error: `Job ${id} is ${job.status} and can no longer be cancelled`, job: describeJob(job) });
+      return;
+    }
+    sendJson(res, 200, { job: describeJob(queue.cancel(id, 'cancelled through the control API')) });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (token) {
+      const header = req.headers.authorization || '';
+      const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+      if (!tokenMatches(token, given)) {
+        sendJson(res, 401, { error: 'Missing or wrong token' });
+        return;
+      }
+    }
+    const refused = refuseBrowserRequest(req, token);
+    if (refused) {
+      sendJson(res, 403, { error: refused });
+      return;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    const route = `${req.method} /${segments.map((segment, i) => (segments[0] === 'api' && i === 2 ? ':id' : segment)).join('/')}`;
+    switch (route) {
+      case 'GET /':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(renderPage(listJobs()));
+        return;
+      case 'GET /api/jobs': {
+        const state = url.searchParams.get('state');
+        sendJson(res, 200, { jobs: listJobs().filter(job => !state || job.state === state) });
+        return;
+      }
+      case 'POST /api/jobs':
+        await submitJob(req, res);
+        return;
+      case 'GET /api/jobs/:id': {
+        const job = listJobs().find(candidate => candidate.id === segments[2]);
+        if (job) {
+          sendJson(res, 200, { job });
+        } else {
+          sendJson(res, 404, { error: `No job ${segments[2]}` });
+        }
+        return;
+      }
+      case 'POST /api/jobs/:id/cancel':
+        cancelJob(res, segments[2]);
+        return;
+      default:
+        sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      log(`Control API error: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+    });
+  });
+
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        const address = server.address();
+        const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        resolve({ host: address.address, port: address.port, url: `http://${urlHost}:${address.port}/` });
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return { server, listen, close };
+}
+
+module.exports = {
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  describeJob,
+  createControlServer,
+};
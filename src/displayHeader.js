@@ -1,7 +1,7 @@
 require('colors');
 
-function displayHeader() {
-  process.stdout.write('\x1Bc');
+function displayHeader({ clear = true } = {}) {
+  if (clear) process.stdout.write('\x1Bc');
   console.log('========================================'.cyan);
   console.log('=           Magiceden-Monad            ='.cyan);
   console.log('=        Created by GHOST DROP         ='.cyan);
@@ -0,0 +1,1728 @@
+const fs = require('fs');
+const ethers = require('ethers');
+const CONFIG = require('../utils/config.js');
+const { loadTreasury, createNonceManager } = require('./wallets.js');
+const { MagicEdenClient } = require('./magicEdenClient.js');
+const { createTransport, loadProxies, loadUserAgents, describeProxy } = require('./transports.js');
+const { sendWithRetry, classifyFailure, bumpFees } = require('./receipts.js');
+const { simulateMint, isSimulationBlocking, describeSimulation } = require('./simulation.js');
+const { hasStageEnded, selectWalletStage, chooseStage, mostExpensiveOpenStage, capMintCount, describeStage } = require('./stages.js');
+const { readSupply, readWalletMinted } = require('./mintState.js');
+const { sleepUntil, createLaunchPlan, signTransactions, describeInclusion } = require('./scheduler.js');
+const { RpcPoolProvider } = require('./rpcPool.js');
+const { getChain, explorerTxUrl, assertChainId } = require('./chains.js');
+const { parseTokenIds, parseCollectionLink } = require('./links.js');
+const { fetchCollections, loadCollectionStages: fetchCollectionStages, fetchLatestStages, listTokenOptions } = require('./fetchers.js');
+const { MINT_GAS_LIMIT, buildMintTx, buildMintTransactions, buildTransferTx, buildSelfTransferTx } = require('./transactions.js');
+const { DEFAULT_CONCURRENCY, createLimiter, broadcastTransactions } = require('./broadcaster.js');
+const { jobKey, jobId, createJobStore } = require('./jobStore.js');
+const { createGasStrategy } = require('./gasStrategies.js');
+const { collectSweepTokens, buildSweepTransfers } = require('./sweep.js');
+const { maxTransactionCost, sumTransactionCosts, affordableCount, fundingShortfall, collectableAmount, createSpendBudget } = require('./spending.js');
+const { createLedgerRecord, appendLedgerRecord, readLedger, summarizeLedger, summaryToCsv } = require('./ledger.js');
+const { createLogger } = require('./logger.js');
+const { createNotifier } = require('./webhooks.js');
+
+const GAS_BUFFER_PERCENT = 20;
+const MAX_RETRY = 3;
+const RETRY_DELAY = 100;
+const FEE_BUMP_PERCENT = 20;
+const CONFIRMATIONS = 1;
+const RECEIPT_TIMEOUT = 60000;
+const LAUNCH_OFFSET_MS = -200;
+const PREPARE_LEAD_MS = 20000;
+const GAS_MULTIPLIER = 2.5;
+const WATCH_STATE_FILE = '.mint-state.json';
+const WATCH_POLL_INTERVAL = 30;
+const WATCH_LEAD_MS = 60000;
+const LEDGER_FILE = 'mint-ledger.jsonl';
+const TRANSFER_GAS_LIMIT = 21000;
+const CANCEL_FEE_BUMP_PERCENT = 30;
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function describeTotals(totals, symbol) {
+  const amount = (wei) => `${ethers.utils.formatEther(wei)} ${symbol}`;
+  return [
+    `${totals.succeeded}/${totals.attempts} succeeded (${(totals.successRate * 100).toFixed(1)}%)`,
+    `spent ${amount(totals.spentWei)} (${amount(totals.valueWei)} mint + ${amount(totals.feeWei)} gas)`,
+    `${totals.tokenIds.length} token(s) minted`
+  ].join(' | ');
+}
+
+function prefixLogger(logger, prefix) {
+  const withPrefix = (level) => (message, fields) => logger[level](`${prefix} ${message}`, fields);
+  return { ...logger, debug: withPrefix('debug'), info: withPrefix('info'), warn: withPrefix('warn'), error: withPrefix('error') };
+}
+
+async function noPrompt(question) {
+  throw new Error(`Input needed but no prompt is configured: ${question.replace(/^➤\s*/, '').trim()}`);
+}
+
+function parseEnvInt(value, fallback, label) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) throw new Error(`Invalid ${label}: ${value}`);
+  return parsed;
+}
+
+/**
+ * @typedef {Object} EngineOptions
+ * @property {Array<Signer>} signers Minting wallets, connected to each chain's provider as it is used
+ * @property {Provider|function(Chain): Provider} [provider] Used instead of an RPC pool built from the chain registry
+ * @property {MagicEdenClient} [meClient]
+ * @property {Object} [transport] HTTP transport for the default Magic Eden client
+ * @property {Object} [recorder] Fixture recorder from `createFixtureRecorder`, saving every response the default client gets
+ * @property {Signer} [treasury] Funding wallet, loaded from env when fund or collect needs it
+ * @property {Object} [env] Environment used for RPC overrides and the treasury (default process.env)
+ * @property {Logger} [logger]
+ * @property {Object} [notifier] Webhook notifier
+ * @property {function(string): Promise<string>} [prompt] Asks for missing input; without one, missing input throws
+ * @property {function(string): Promise<string>} [promptSecret] Asks for passphrases
+ * @property {string} [ledgerPath]
+ * @property {string} [maxSpend] Spend cap per chain, in the chain's currency
+ */
+
+// An engine works on one chain at a time, swapping the active chain's context in
+// per job. `mintAll` forks an engine per target over the same chain contexts, so
+// concurrent targets share each chain's nonces, spend cap and prepare lock.
+// The environment is only read through `env` and the terminal only through the
+// prompt functions; failures are thrown to the caller.
+/** @param {EngineOptions} options */
+function createMintEngine({
+  signers = [],
+  provider: providerOption = null,
+  meClient: meClientOption = null,
+  transport = null,
+  recorder = null,
+  treasury: treasuryOption = null,
+  env = process.env,
+  logger = createLogger(),
+  notifier = createNotifier(),
+  prompt = noPrompt,
+  promptSecret = prompt,
+  ledgerPath = LEDGER_FILE,
+  maxSpend = null
+} = {}, { chainContexts = new Map(), pendingMints = new Map() } = {}) {
+  const defaultMeClient = meClientOption || createMeClient();
+  let chain = null;
+  let provider = null;
+  let wallets = [];
+  let nonceManager = null;
+  let meClient = defaultMeClient;
+  let budget = null;
+  let prepareLock = null;
+
+  function log(message) {
+    logger.info(message);
+  }
+
+  // Wallets are dealt the proxies in turn; each proxy gets its own transport and
+  // starts on a different user agent from the shared one
+  function createMeClient() {
+    const record = (meTransport) => (recorder ? recorder.wrap(meTransport) : meTransport);
+    const type = env.ME_TRANSPORT || CONFIG.ME_TRANSPORT;
+    const userAgents = loadUserAgents(env);
+    const transportOptions = {
+      userAgents,
+      retries: parseEnvInt(env.ME_MAX_RETRIES, CONFIG.ME_MAX_RETRIES, 'ME_MAX_RETRIES'),
+      baseDelayMs: CONFIG.ME_BACKOFF_BASE_MS,
+      onFallback: (error) => logger.warn(`${error.message}, falling back to Puppeteer`),
+      onRetry: (error, attempt, delayMs) => logger.warn(`${error.message}, retry ${attempt} in ${delayMs}ms`)
+    };
+
+    const proxies = loadProxies(env);
+    const proxyTransports = proxies.map((proxy, i) => record(createTransport(type, {
+      ...transportOptions,
+      proxy,
+      userAgents: [...userAgents.slice((i + 1) % userAgents.length), ...userAgents.slice(0, (i + 1) % userAgents.length)]
+    })));
+    const walletTransports = new Map(proxies.length
+      ? signers.map((signer, i) => [signer.address, proxyTransports[i % proxies.length]])
+      : []);
+    if (proxies.length) {
+      log(`Magic Eden wallet requests go through ${proxies.length} prox${proxies.length === 1 ? 'y' : 'ies'}: ${proxies.map(describeProxy).join(', ')}`);
+    }
+
+    return new MagicEdenClient({
+      baseUrl: env.ME_API_BASE_URL || CONFIG.ME_API_BASE_URL,
+      transport: record(transport || createTransport(type, transportOptions)),
+      walletTransports,
+      cacheTtlMs: parseEnvInt(env.ME_CACHE_TTL_MS, CONFIG.ME_CACHE_TTL_MS, 'ME_CACHE_TTL_MS'),
+      allowlistProofPath: env.ME_ALLOWLIST_PROOF_PATH || CONFIG.ME_ALLOWLIST_PROOF_PATH
+    });
+  }
+
+  async function confirm(job, question) {
+    if (job.yes || job.dryRun) return true;
+    const answer = await prompt(question);
+    return ['y', 'yes'].includes(answer.toLowerCase());
+  }
+
+  async function createPoolProvider(chainConfig) {
+    const chainProvider = new RpcPoolProvider(chainConfig.rpcUrls, {
+      timeoutMs: CONFIG.RPC_TIMEOUT_MS,
+      log: (message) => log(message)
+    });
+
+    await chainProvider.verifyChainId(chainConfig.chainId);
+    const rpcStatus = await chainProvider.checkHealth();
+    rpcStatus.forEach(({ url, healthy, latencyMs, blockNumber }) => {
+      log(`RPC ${url}: ${healthy ? `healthy, ${latencyMs}ms, block ${blockNumber}` : 'unreachable'}`);
+    });
+    chainProvider.startHealthChecks(CONFIG.RPC_HEALTH_INTERVAL_MS);
+    return chainProvider;
+  }
+
+  async function createChainContext(slug) {
+    const chainConfig = getChain(slug, env);
+    let chainProvider;
+    if (providerOption) {
+      chainProvider = typeof providerOption === 'function' ? await providerOption(chainConfig) : providerOption;
+      await assertChainId(chainProvider, chainConfig);
+    } else {
+      chainProvider = await createPoolProvider(chainConfig);
+    }
+
+    return {
+      chain: chainConfig,
+      provider: chainProvider,
+      wallets: signers.map(signer => signer.connect(chainProvider)),
+      nonceManager: createNonceManager(chainProvider),
+      budget: createSpendBudget(maxSpend),
+      meClient: defaultMeClient.forChain(slug),
+      prepareLock: createLimiter(1)
+    };
+  }
+
+  // `selection` limits the job to some of the loaded wallets, by address
+  async function useChain(slug, selection = null) {
+    if (!chainContexts.has(slug)) {
+      log(`Connecting to ${slug}`);
+      chainContexts.set(slug, await createChainContext(slug));
+    }
+    ({ chain, provider, wallets, nonceManager, budget, meClient, prepareLock } = chainContexts.get(slug));
+    log(`Chain: ${chain.slug} (chain ID ${chain.chainId}, ${chain.symbol})`);
+
+    if (selection && selection.length) {
+      const selected = selection.map(address => address.toLowerCase());
+      const unknown = selection.filter(address => !wallets.some(wallet => wallet.address.toLowerCase() === address.toLowerCase()));
+      if (unknown.length) throw new Error(`Wallet(s) not loaded: ${unknown.join(', ')}`);
+      wallets = wallets.filter(wallet => selected.includes(wallet.address.toLowerCase()));
+      log(`Using ${wallets.length} of ${signers.length} wallet(s)`);
+    }
+  }
+
+  async function fetchLatestMintsOrLaunchpad(link) {
+    try {
+      return await fetchCollections(meClient, link, { log });
+    } catch (error) {
+      logger.warn(`Fetch error: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function loadCollectionStages(linkType, collection, launchpadStages) {
+    try {
+      return await fetchCollectionStages(meClient, { linkType, collection, launchpadStages }, { log });
+    } catch (error) {
+      logger.warn(`Error fetching start time: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function checkAllowlistEligibility(collectionId, address) {
+    try {
+      const { stageIds } = await meClient.checkEligibility(collectionId, address);
+      return stageIds;
+    } catch (error) {
+      logger.warn(`Error checking allowlist: ${error.message}`);
+      return [];
+    }
+  }
+
+  async function fetchAllowlistProof(collectionId, stageId, address) {
+    try {
+      const { proof } = await meClient.getAllowlistProof(collectionId, stageId, address);
+      return proof;
+    } catch (error) {
+      logger.warn(`Error fetching allowlist proof from the experimental proof endpoint: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function getGasParams(gasStrategy) {
+    const { maxFeePerGas, maxPriorityFeePerGas, capped } = await gasStrategy.fees(provider);
+    const gweiLabel = (value) => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+    log(`Gas (${gasStrategy.name}): max fee ${gweiLabel(maxFeePerGas)}, priority fee ${gweiLabel(maxPriorityFeePerGas)}${capped ? ' (capped by the max fee ceiling)' : ''}`);
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Wallet stages are picked for the moment the transactions are released, not
+  // when they are prepared: an allowlist stage that ends before a later public
+  // stage opens is no longer an option for it
+  function stageLaunchTime(selectedStage) {
+    return Math.max(Math.floor(Date.now() / 1000), selectedStage.startTime);
+  }
+
+  async function planWalletMint(wallet, { collectionId, stages, selectedStage, eligibility = {} }) {
+    const label = shortAddress(wallet.address);
+    let eligibleStageIds = eligibility[wallet.address] || [];
+    const now = stageLaunchTime(selectedStage);
+
+    let choice = selectWalletStage({ stages, selectedStage, eligibleStageIds, now });
+    if (choice.allowlist) {
+      const proof = await fetchAllowlistProof(collectionId, choice.stage.id, wallet.address);
+      if (proof) {
+        log(`[${label}] Minting allowlist stage ${choice.stage.index + 1} with a ${proof.length}-node proof`);
+        return { stage: choice.stage, priceWei: choice.stage.priceWei, proof };
+      }
+      logger.warn(`[${label}] No proof for eligible allowlist stage ${choice.stage.index + 1}, it will not be minted`);
+      eligibleStageIds = eligibleStageIds.filter(id => id !== choice.stage.id);
+      choice = selectWalletStage({ stages, selectedStage, eligibleStageIds, now });
+    }
+
+    if (!choice.stage) return { skip: choice.reason };
+    if (choice.fallback) {
+      log(`[${label}] Not eligible for allowlist stage ${selectedStage.index + 1}, falling back to public stage ${choice.stage.index + 1}`);
+    }
+    return { stage: choice.stage, priceWei: choice.stage.priceWei, proof: null };
+  }
+
+  async function preflightMint(wallet, { collectionId, protocol, tokenId }, { priceWei, proof }) {
+    const baseTx = buildMintTx({ chainId: chain.chainId, collectionId, priceWei, protocol, tokenId, proof, recipient: wallet.address });
+    const simulation = await simulateMint(provider, baseTx, wallet.address, { gasBufferPercent: GAS_BUFFER_PERCENT });
+    log(`[${shortAddress(wallet.address)}] Pre-flight ${describeSimulation(simulation)}`);
+
+    if (simulation.ok) {
+      return { baseTx: { ...baseTx, gasLimit: simulation.gasLimit }, simulation };
+    }
+    if (!isSimulationBlocking(simulation)) {
+      log(`[${shortAddress(wallet.address)}] Using fallback gas limit ${MINT_GAS_LIMIT}`);
+    }
+    return { baseTx, simulation };
+  }
+
+  function walletMintCount({ mintCount, walletCounts }, address) {
+    return walletCounts ? walletCounts[address] || 0 : mintCount;
+  }
+
+  async function prepareWalletTransactions(wallet, target, gasParams) {
+    const label = shortAddress(wallet.address);
+    const mintCount = walletMintCount(target, wallet.address);
+    if (!mintCount) {
+      return { address: wallet.address, transactions: [], reason: 'nothing left to mint' };
+    }
+
+    const plan = await planWalletMint(wallet, target);
+    if (plan.skip) {
+      log(`[${label}] Not broadcasting: ${plan.skip}`);
+      return { address: wallet.address, transactions: [], reason: plan.skip };
+    }
+
+    const { baseTx, simulation } = await preflightMint(wallet, target, plan);
+    if (isSimulationBlocking(simulation)) {
+      const reason = `${simulation.failure.reason} (${simulation.failure.message})`;
+      log(`[${label}] Not broadcasting: ${reason}`);
+      return { address: wallet.address, transactions: [], reason };
+    }
+
+    const nonces = await nonceManager.reserve(wallet.address, mintCount);
+    const transactions = buildMintTransactions(baseTx, gasParams, nonces);
+    return { address: wallet.address, transactions, stage: plan.stage };
+  }
+
+  async function applySpendingLimits(preparedTxs) {
+    const balances = await Promise.all(preparedTxs.map(({ address, transactions }) =>
+      transactions.length ? provider.getBalance(address) : null
+    ));
+    let budgetLeft = budget ? budget.remaining() : null;
+
+    await Promise.all(preparedTxs.map(async (prepared, i) => {
+      const { address, transactions } = prepared;
+      if (!transactions.length) return;
+      const label = shortAddress(address);
+
+      let count = affordableCount(transactions, balances[i]);
+      let reason = 'insufficient balance for value plus worst-case gas';
+      if (count < transactions.length) {
+        log(`[${label}] Balance ${ethers.utils.formatEther(balances[i])} ${chain.symbol} covers ${count} of ${transactions.length} mint(s) including worst-case gas`);
+      }
+      if (budgetLeft) {
+        const withinBudget = affordableCount(transactions.slice(0, count), budgetLeft);
+        if (withinBudget < count) {
+          log(`[${label}] Spend cap of ${ethers.utils.formatEther(budget.limitWei)} ${chain.symbol} leaves room for ${withinBudget} of ${count} mint(s)`);
+          count = withinBudget;
+          reason = 'spend cap reached';
+        }
+        budgetLeft = budgetLeft.sub(sumTransactionCosts(transactions.slice(0, count)).totalWei);
+      }
+
+      if (count < transactions.length) {
+        prepared.transactions = transactions.slice(0, count);
+        if (!count) prepared.reason = reason;
+        await nonceManager.release(address, transactions.slice(count).map(tx => tx.nonce));
+      }
+    }));
+
+    return preparedTxs;
+  }
+
+  // Targets on a chain prepare one at a time, so the nonces a target drops for its
+  // spending limits, or all of them on a dry run, are always the last ones
+  // reserved and can be handed out again
+  async function prepareAllTransactions(target, { sign = false, dryRun = false } = {}) {
+    const release = await prepareLock.acquire();
+    try {
+      if (target.collectionKey && !dryRun) target.walletCounts = await capWalletCounts(target, pendingMintCounts(target));
+      const gasParams = await getGasParams(target.gasStrategy);
+
+      const preparedTxs = await Promise.all(wallets.map(wallet =>
+        prepareWalletTransactions(wallet, target, gasParams).catch((error) => {
+          logger.warn(`[${shortAddress(wallet.address)}] Preparing transactions failed: ${error.message}`);
+          return { address: wallet.address, transactions: [], reason: error.message };
+        })
+      ));
+      await applySpendingLimits(preparedTxs);
+      if (dryRun) {
+        await Promise.all(preparedTxs.map(({ address, transactions }) => nonceManager.release(address, transactions.map(tx => tx.nonce))));
+      } else {
+        if (budget) target.releaseBudget = budget.hold(sumTransactionCosts(preparedTxs.flatMap(({ transactions }) => transactions)).totalWei);
+        if (target.collectionKey) trackPendingMints(target, preparedTxs);
+      }
+
+      if (sign) {
+        await Promise.all(preparedTxs.map(async (prepared, i) => {
+          if (prepared.transactions.length) {
+            prepared.signedTransactions = await signTransactions(wallets[i], prepared.transactions);
+          }
+        }));
+      }
+      return preparedTxs;
+    } finally {
+      release();
+    }
+  }
+
+  // Mints signed by other targets of the run for the same collection count
+  // against wallet limits and supply until they settle
+  function pendingMintCounts(target) {
+    const counts = {};
+    (pendingMints.get(target.collectionKey) || new Set()).forEach((other) => {
+      if (other === target) return;
+      Object.entries(other.pendingCounts).forEach(([address, count]) => {
+        counts[address] = (counts[address] || 0) + count;
+      });
+    });
+    return counts;
+  }
+
+  function trackPendingMints(target, preparedTxs) {
+    target.pendingCounts = Object.fromEntries(preparedTxs.map(({ address, transactions }) => [address, transactions.length]));
+    if (!pendingMints.has(target.collectionKey)) pendingMints.set(target.collectionKey, new Set());
+    pendingMints.get(target.collectionKey).add(target);
+  }
+
+  function settlePreparedTarget(target) {
+    if (target.releaseBudget) target.releaseBudget();
+    if (target.collectionKey && pendingMints.has(target.collectionKey)) pendingMints.get(target.collectionKey).delete(target);
+  }
+
+  // Nonces a target reserved but never broadcast go back to the nonce manager.
+  // Those below another target's reservation cannot be handed out again, so each
+  // is closed with a zero-value self-transfer instead.
+  async function returnNonces(wallet, nonces, gasStrategy) {
+    const gaps = await nonceManager.release(wallet.address, nonces);
+    if (!gaps.length) return [];
+
+    const label = shortAddress(wallet.address);
+    const gasParams = await getGasParams(gasStrategy);
+    return Promise.all(gaps.map(async (nonce) => {
+      log(`[${label}] Nonce ${nonce} was not used and later nonces are taken, filling it with a zero-value self-transfer`);
+      const tx = buildSelfTransferTx({ chainId: chain.chainId, address: wallet.address, nonce }, gasParams);
+      const result = await sendWithRetry(wallet, tx, retryOptions(gasStrategy, label, `Gap filler for nonce ${nonce}`));
+      const spentWei = result.gasUsed ? result.gasUsed.mul(result.effectiveGasPrice || tx.maxFeePerGas) : ethers.constants.Zero;
+      return { ...result, spentWei };
+    }));
+  }
+
+  async function releasePreparedNonces(target, preparedTxs) {
+    settlePreparedTarget(target);
+    const fillers = await Promise.all(preparedTxs.map(({ address, transactions }) =>
+      returnNonces(wallets.find(wallet => wallet.address === address), transactions.map(tx => tx.nonce), target.gasStrategy)
+    ));
+    if (budget) fillers.flat().forEach(result => budget.record(result.spentWei));
+  }
+
+  function recordMint({ target, stage, wallet, tx, result }) {
+    const record = createLedgerRecord({ chain: chain.slug, target, stage, wallet: wallet.address, tx, result });
+    try {
+      appendLedgerRecord(ledgerPath, record);
+    } catch (error) {
+      logger.warn(`[${shortAddress(wallet.address)}] Could not write to the ledger: ${error.message}`);
+    }
+    return record;
+  }
+
+  function retryOptions(gasStrategy, label, txLabel, { notify = false } = {}) {
+    const feeBumpPercent = gasStrategy.feeBumpPercent || FEE_BUMP_PERCENT;
+    return {
+      maxRetry: gasStrategy.maxAttempts || MAX_RETRY,
+      retryDelay: RETRY_DELAY,
+      feeBumpPercent,
+      confirmations: CONFIRMATIONS,
+      receiptTimeoutMs: RECEIPT_TIMEOUT,
+      maxFeePerGas: gasStrategy.maxFeePerGas,
+      escalateAfterBlocks: gasStrategy.escalateAfterBlocks,
+      onSent: (txResponse, attempt) => {
+        const url = explorerTxUrl(chain, txResponse.hash);
+        log(`[${label}] ${txLabel} sent${attempt > 1 ? ` (attempt ${attempt})` : ''}: ${url}`);
+        if (notify) {
+          notifier.notify('tx-sent', `[${label}] ${txLabel} sent on ${chain.slug}: ${url}`, { chain: chain.slug, wallet: txResponse.from, hash: txResponse.hash, nonce: txResponse.nonce, attempt, url });
+        }
+      },
+      onRetry: (failure, attempt) => logger.warn(`[${label}] ${txLabel} attempt ${attempt} failed (${failure.reason}: ${failure.message}), retrying with +${feeBumpPercent}% fee`)
+    };
+  }
+
+  async function mintFromWallet(wallet, target, prepared, limiter) {
+    const label = shortAddress(wallet.address);
+    const { transactions, signedTransactions = [], reason, stage } = prepared;
+    if (!transactions.length) {
+      return { address: wallet.address, succeeded: 0, failed: 0, aborted: reason, results: [], fillers: [] };
+    }
+
+    const send = async (tx, { kind, index, signedTx }) => {
+      if (kind === 'filler') {
+        const result = await sendWithRetry(wallet, tx, retryOptions(target.gasStrategy, label, `Gap filler for nonce ${tx.nonce}`));
+        const spentWei = result.gasUsed ? result.gasUsed.mul(result.effectiveGasPrice || tx.maxFeePerGas || tx.gasPrice) : ethers.constants.Zero;
+        return { ...result, spentWei };
+      }
+
+      const result = await sendWithRetry(wallet, tx, {
+        ...retryOptions(target.gasStrategy, label, `Tx ${index + 1}`, { notify: true }),
+        signedTx
+      });
+
+      const record = recordMint({ target, stage, wallet, tx, result });
+      if (target.pendingCounts) target.pendingCounts[wallet.address] -= 1;
+      const spentWei = ethers.BigNumber.from(record.feeWei).add(result.status === 'success' ? record.valueWei : 0);
+      const eventData = { chain: chain.slug, collectionId: target.collectionId, wallet: wallet.address, hash: result.hash, nonce: result.nonce, status: result.status };
+      if (result.status === 'success') {
+        log(`[${label}] Tx ${index + 1} confirmed in block ${result.blockNumber}`);
+        const tokens = result.tokenIds.length ? `, token IDs ${result.tokenIds.join(', ')}` : '';
+        notifier.notify('tx-confirmed', `[${label}] ${target.collectionName} tx ${index + 1} confirmed in block ${result.blockNumber}${tokens}`, { ...eventData, blockNumber: result.blockNumber, tokenIds: result.tokenIds });
+      } else {
+        logger.warn(`[${label}] Tx ${index + 1} ${result.status}: ${result.reason} (${result.message})`);
+        notifier.notify('revert', `[${label}] ${target.collectionName} tx ${index + 1} ${result.status}: ${result.reason}`, { ...eventData, reason: result.reason, message: result.message });
+      }
+      return { ...result, spentWei };
+    };
+
+    const { results: sent, fillers, halted } = await broadcastTransactions(wallet, transactions, {
+      send,
+      signedTransactions,
+      limiter,
+      log: message => logger.warn(`[${label}] ${message}`)
+    });
+    const results = sent.map((result, i) => ({ spentWei: ethers.constants.Zero, ...result, address: wallet.address, index: i + 1 }));
+
+    const succeeded = results.filter(result => result.status === 'success').length;
+    if (halted) {
+      nonceManager.reset(wallet.address);
+    } else {
+      const used = new Set([...results, ...fillers].filter(result => result.status === 'success' || result.attempts).map(result => result.nonce));
+      fillers.push(...await returnNonces(wallet, transactions.map(tx => tx.nonce).filter(nonce => !used.has(nonce)), target.gasStrategy));
+    }
+
+    return { address: wallet.address, succeeded, failed: results.length - succeeded, results, fillers };
+  }
+
+  function logMintSummary(summaries) {
+    log('Transaction summary:');
+    summaries.forEach(({ address, succeeded, failed, aborted, results, fillers = [] }) => {
+      log(`${address}: ${aborted ? `aborted before broadcast, ${aborted}` : `${succeeded} succeeded, ${failed} failed`}`);
+      results.forEach(({ index, nonce, hash, status, reason, gasUsed, tokenIds }) => {
+        const details = [
+          `#${index}`,
+          `nonce ${nonce}`,
+          status === 'success' ? status : `${status} (${reason})`,
+          gasUsed ? `gas used ${gasUsed.toString()}` : null,
+          tokenIds.length ? `token IDs ${tokenIds.join(', ')}` : null,
+          hash ? explorerTxUrl(chain, hash) : 'not broadcast'
+        ].filter(Boolean);
+        log(`  ${details.join(' | ')}`);
+      });
+      fillers.forEach(({ nonce, hash, status, reason }) => {
+        log(`  gap filler | nonce ${nonce} | ${status === 'success' ? status : `${status} (${reason})`} | ${hash ? explorerTxUrl(chain, hash) : 'not broadcast'}`);
+      });
+    });
+  }
+
+  function notifyRunSummary({ collectionId, collectionName }, summaries) {
+    const results = summaries.flatMap(summary => summary.results);
+    const succeeded = summaries.reduce((total, summary) => total + summary.succeeded, 0);
+    const failed = summaries.reduce((total, summary) => total + summary.failed, 0);
+    const tokenIds = results.flatMap(result => result.tokenIds);
+    const spentWei = results.reduce((total, result) => total.add(result.spentWei), ethers.constants.Zero);
+
+    notifier.notify('run-summary', `${collectionName} on ${chain.slug}: ${succeeded} succeeded, ${failed} failed across ${summaries.length} wallet(s), spent ${ethers.utils.formatEther(spentWei)} ${chain.symbol}${tokenIds.length ? `, token IDs ${tokenIds.join(', ')}` : ''}`, {
+      chain: chain.slug,
+      collectionId,
+      collectionName,
+      wallets: summaries.length,
+      succeeded,
+      failed,
+      tokenIds,
+      spentWei: spentWei.toString()
+    });
+  }
+
+  function logDryRun(preparedTxs) {
+    const amount = (wei) => `${ethers.utils.formatEther(wei)} ${chain.symbol}`;
+
+    preparedTxs.forEach(({ address, transactions, reason }) => {
+      if (!transactions.length && reason) {
+        log(`[dry-run] [${shortAddress(address)}] nothing to send: ${reason}`);
+      }
+      transactions.forEach((tx) => {
+        const feePerGas = tx.maxFeePerGas || tx.gasPrice;
+        log(`[dry-run] [${shortAddress(address)}] nonce ${tx.nonce} -> ${tx.to} | value ${amount(tx.value)} | gas limit ${tx.gasLimit} | max fee ${ethers.utils.formatUnits(feePerGas, 'gwei')} gwei | max cost ${amount(maxTransactionCost(tx).totalWei)} | data ${tx.data}`);
+      });
+    });
+
+    const transactions = preparedTxs.flatMap(prepared => prepared.transactions);
+    const totals = sumTransactionCosts(transactions);
+    log(`[dry-run] ${transactions.length} transaction(s): ${amount(totals.valueWei)} mint value + up to ${amount(totals.maxGasWei)} gas = up to ${amount(totals.totalWei)}`);
+  }
+
+  function logLaunchPlan(plan) {
+    log(`Clock drift vs chain: ${plan.driftMs}ms, block time ${Math.round(plan.blockTimeMs)}ms`);
+    log(`Expected launch block #${plan.expectedBlockNumber} at ${new Date(plan.expectedBlockTimestamp * 1000).toLocaleString()}, releasing at ${new Date(plan.releaseAtMs).toLocaleTimeString()} local (offset ${plan.offsetMs}ms)`);
+  }
+
+  async function logInclusion(plan, summaries) {
+    const blockNumbers = summaries
+      .flatMap(({ results }) => results)
+      .filter(result => result.blockNumber)
+      .map(result => result.blockNumber);
+
+    const inclusion = await describeInclusion(provider, plan, blockNumbers).catch(() => null);
+    if (inclusion) {
+      const blocks = inclusion.blockDelta >= 0 ? `+${inclusion.blockDelta}` : `${inclusion.blockDelta}`;
+      log(`First inclusion in block #${inclusion.blockNumber} (${blocks} blocks vs expected #${plan.expectedBlockNumber}, ${inclusion.secondsAfterStart}s after start time)`);
+    }
+  }
+
+  async function mintOnChain(target, { dryRun = false } = {}) {
+    const { collectionName, mintCount, launchPlan } = target;
+    const preparedTxs = target.preparedTxs || await prepareAllTransactions(target, { dryRun });
+    if (dryRun) {
+      log(`Dry run: up to ${mintCount} NFTs per wallet for ${collectionName} from ${wallets.length} wallet(s), nothing will be broadcast`);
+      logDryRun(preparedTxs);
+      return [];
+    }
+
+    await assertChainId(provider, chain);
+    log(`Minting up to ${mintCount} NFTs per wallet for ${collectionName} from ${wallets.length} wallet(s)`);
+
+    const prepared = new Map(preparedTxs.map(walletTxs => [walletTxs.address, walletTxs]));
+    const limiter = createLimiter(target.concurrency || DEFAULT_CONCURRENCY);
+    const summaries = await Promise.all(wallets.map(wallet =>
+      mintFromWallet(wallet, target, prepared.get(wallet.address), limiter)
+        .catch(error => {
+          nonceManager.reset(wallet.address);
+          logger.warn(`[${shortAddress(wallet.address)}] Minting failed: ${error.message}`);
+          return { address: wallet.address, succeeded: 0, failed: walletMintCount(target, wallet.address), results: [], fillers: [] };
+        })
+    ));
+
+    log(`Minting ${collectionName} completed`);
+    settlePreparedTarget(target);
+    if (budget) {
+      summaries.forEach(({ results, fillers }) => [...results, ...fillers].forEach(result => budget.record(result.spentWei)));
+      log(`Spent ${ethers.utils.formatEther(budget.spent())} of the ${ethers.utils.formatEther(budget.limitWei)} ${chain.symbol} cap so far`);
+    }
+    logMintSummary(summaries);
+    notifyRunSummary(target, summaries);
+    if (launchPlan) await logInclusion(launchPlan, summaries);
+
+    return summaries;
+  }
+
+  async function sweepToVault(target, summaries, { vault, sweepGasBudget }) {
+    const gasBudget = createSpendBudget(sweepGasBudget);
+    const gasParams = await getGasParams(target.gasStrategy);
+    const reports = [];
+    log(`Sweeping minted NFTs from ${target.collectionName} to vault ${vault}`);
+
+    for (const { address, results } of summaries) {
+      const wallet = wallets.find(candidate => candidate.address === address);
+      const { tokens, unknown } = collectSweepTokens(target, results);
+      const label = shortAddress(address);
+      unknown.forEach(({ hash }) => {
+        reports.push({ address, tokenIds: [], amounts: [], hash, feeWei: ethers.constants.Zero, status: 'unknown', reason: 'no token transfer in the mint receipt' });
+        logger.warn(`[${label}] Not sweeping mint ${hash}: its receipt shows no token of ${target.collectionName}`);
+      });
+      if (!wallet || !tokens.length) continue;
+
+      for (const transfer of buildSweepTransfers(target, address, vault, tokens)) {
+        const report = { address, tokenIds: transfer.tokenIds, amounts: transfer.amounts, hash: null, feeWei: ethers.constants.Zero };
+        reports.push(report);
+
+        let gasLimit;
+        try {
+          const estimate = await provider.estimateGas({ from: address, to: transfer.to, data: transfer.data });
+          gasLimit = estimate.mul(100 + GAS_BUFFER_PERCENT).div(100);
+        } catch (error) {
+          const failure = classifyFailure(error);
+          Object.assign(report, { status: 'failed', reason: `${failure.reason} (${failure.message})` });
+          logger.warn(`[${label}] Sweep of token(s) ${transfer.tokenIds.join(', ')} would fail: ${report.reason}`);
+          continue;
+        }
+
+        const tx = { to: transfer.to, data: transfer.data, value: 0, gasLimit, chainId: chain.chainId, ...gasParams };
+        const { maxGasWei } = maxTransactionCost(tx);
+        if (gasBudget && maxGasWei.gt(gasBudget.remaining())) {
+          Object.assign(report, { status: 'skipped', reason: 'sweep gas budget exhausted' });
+          log(`[${label}] Not sweeping token(s) ${transfer.tokenIds.join(', ')}: sweep gas budget exhausted`);
+          continue;
+        }
+
+        const [nonce] = await nonceManager.reserve(address, 1);
+        const result = await sendWithRetry(wallet, { ...tx, nonce }, retryOptions(target.gasStrategy, label, 'Sweep'));
+        if (result.status === 'failed' && !result.attempts) await returnNonces(wallet, [nonce], target.gasStrategy);
+
+        const feeWei = result.gasUsed && result.effectiveGasPrice ? result.gasUsed.mul(result.effectiveGasPrice) : ethers.constants.Zero;
+        if (gasBudget) gasBudget.record(feeWei);
+        Object.assign(report, { status: result.status, reason: result.reason ? `${result.reason} (${result.message})` : null, hash: result.hash, feeWei });
+      }
+    }
+
+    logSweepReport(vault, reports);
+    return reports;
+  }
+
+  function logSweepReport(vault, reports) {
+    if (!reports.length) {
+      log('Sweep: no minted tokens found in the mint receipts');
+      return;
+    }
+
+    const swept = reports.filter(report => report.status === 'success');
+    const tokenCount = (list) => list.reduce((total, report) => total + report.tokenIds.length, 0);
+    const unknown = reports.filter(report => report.status === 'unknown').length;
+    const feeWei = reports.reduce((total, report) => total.add(report.feeWei), ethers.constants.Zero);
+    log(`Sweep summary: ${tokenCount(swept)} of ${tokenCount(reports)} token(s) sent to ${vault}${unknown ? `, ${unknown} mint(s) with unknown tokens left in place` : ''}, gas spent ${ethers.utils.formatEther(feeWei)} ${chain.symbol}`);
+    reports.forEach(({ address, tokenIds, amounts, status, reason, hash }) => {
+      const tokens = tokenIds.map((id, i) => (amounts[i] === '1' ? id : `${id} x${amounts[i]}`)).join(', ');
+      const details = [
+        `[${shortAddress(address)}] ${tokenIds.length ? `token(s) ${tokens}` : 'mint with unknown token(s)'}`,
+        status === 'success' ? status : `${status} (${reason})`,
+        hash ? explorerTxUrl(chain, hash) : null
+      ].filter(Boolean);
+      log(`  ${details.join(' | ')}`);
+    });
+  }
+
+  async function capWalletCounts({ collectionId, protocol, tokenId, stages, selectedStage, eligibility, mintCount }, pendingCounts = {}) {
+    const launchTime = stageLaunchTime(selectedStage);
+    const { totalSupply, maxSupply: contractMaxSupply } = await readSupply(provider, { collectionId, protocol, tokenId });
+    const maxSupply = contractMaxSupply || selectedStage.maxSupply;
+    const pendingTotal = Object.values(pendingCounts).reduce((total, count) => total + count, 0);
+    let supplyRemaining = maxSupply && totalSupply !== null ? maxSupply - totalSupply - pendingTotal : Infinity;
+    if (supplyRemaining !== Infinity) log(`Supply: ${totalSupply}/${maxSupply} minted${pendingTotal ? `, ${pendingTotal} more signed by earlier targets` : ''}`);
+
+    const walletCounts = {};
+    for (const wallet of wallets) {
+      const stage = selectWalletStage({ stages, selectedStage, eligibleStageIds: eligibility[wallet.address] || [], now: launchTime }).stage || selectedStage;
+      const walletMinted = await readWalletMinted(provider, { collectionId, protocol, tokenId }, wallet.address);
+      if (walletMinted === null && stage.maxPerWallet) {
+        log(`[${shortAddress(wallet.address)}] Contract does not report minted counts, capping at the full ${stage.maxPerWallet} per wallet`);
+      }
+      const { count, reason } = capMintCount({
+        requested: mintCount,
+        stage,
+        walletMinted: (walletMinted || 0) + (pendingCounts[wallet.address] || 0),
+        supplyRemaining
+      });
+
+      walletCounts[wallet.address] = count;
+      supplyRemaining -= count;
+      if (count < mintCount) {
+        log(`[${shortAddress(wallet.address)}] Mint count capped to ${count} (${reason})`);
+      }
+    }
+
+    return walletCounts;
+  }
+
+  function exceedsMaxPrice(stage, job) {
+    return Boolean(job.maxPrice) && stage.priceWei.gt(ethers.utils.parseEther(job.maxPrice));
+  }
+
+  async function findStagePriceChanges(link, collection, preparedTxs) {
+    let latestStages;
+    try {
+      latestStages = await fetchLatestStages(meClient, link, collection);
+    } catch (error) {
+      logger.warn(`Fetch error: ${error.message}`);
+      return null;
+    }
+
+    const stagesInUse = new Map(preparedTxs.filter(({ stage }) => stage).map(({ stage }) => [stage.id, stage]));
+    const changes = [];
+    for (const stage of stagesInUse.values()) {
+      const latest = latestStages.find(candidate => candidate.id === stage.id);
+      if (!latest) {
+        changes.push(`stage ${stage.index + 1} is no longer listed`);
+      } else if (!latest.priceWei.eq(stage.priceWei)) {
+        changes.push(`stage ${stage.index + 1} went from ${ethers.utils.formatEther(stage.priceWei)} to ${ethers.utils.formatEther(latest.priceWei)} ${chain.symbol}`);
+      }
+    }
+    return changes;
+  }
+
+  // One target per requested stage of every collection that is minting. Nothing
+  // waits for launch here; each target is prepared when its turn comes.
+  /** @returns {Promise<Array<Object>>} */
+  async function planTargets({ linkType, collections, stages: launchpadStages, link }, job = {}) {
+    log('Checking mint details');
+    const targets = [];
+
+    for (const collection of collections) {
+      const { collectionId, collectionName, isMinting, protocol, tokenId } = collection;
+      log(`Minting status: ${isMinting} | Protocol: ${protocol}`);
+
+      if (!isMinting) {
+        log('Skipping: Minting not active');
+        continue;
+      }
+      if (!['erc1155', 'erc721'].includes(protocol)) {
+        logger.warn(`Skipping: unsupported protocol ${protocol}`);
+        continue;
+      }
+
+      const stages = await loadCollectionStages(linkType, collection, launchpadStages);
+
+      // Without proofs an eligible wallet cannot mint its allowlist stage, so it is planned as not eligible
+      const eligibility = {};
+      for (const wallet of wallets) {
+        const stageIds = await checkAllowlistEligibility(collectionId, wallet.address);
+        eligibility[wallet.address] = meClient.allowlistProofPath ? stageIds : [];
+        const unused = stageIds.length && !meClient.allowlistProofPath ? ', not used: allowlist proofs are off (ME_ALLOWLIST_PROOF_PATH)' : '';
+        log(`[${shortAddress(wallet.address)}] Allowlist eligibility: ${stageIds.length ? `Eligible (stages ${stageIds.join(', ')})${unused}` : 'Not eligible'}`);
+      }
+
+      let requests = job.targets || null;
+      let mintCount = null;
+      if (!requests) {
+        mintCount = job.count || parseInt(await prompt(`➤ Enter NFT mint count per wallet for ${collectionName} (${wallets.length} wallets): `));
+        if (isNaN(mintCount) || mintCount <= 0) {
+          log('Invalid mint count input');
+          return targets;
+        }
+      }
+
+      if (!stages) {
+        logger.warn('Failed to fetch launch time or price, aborting');
+        return targets;
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (!requests) {
+        const choice = chooseStage({ stages, requested: job.stage, now });
+        if (choice.skip) {
+          log('Skipping: All stages have ended');
+          continue;
+        }
+        let requested = [job.stage];
+        if (choice.auto) {
+          log('All open stages have started, using the last one');
+          requested = [choice.stage.index + 1];
+        } else if (choice.needsChoice) {
+          stages.forEach((stage) => {
+            const ended = hasStageEnded(stage, now) ? ' [ended]' : '';
+            log(`Stage ${stage.index + 1} (${stage.kind})${ended} - ${describeStage(stage, chain.symbol)}`);
+          });
+          const answer = await prompt(`➤ Select stage(s) to mint (1-${stages.length}, comma-separated for several): `);
+          requested = answer.split(',').map(value => parseInt(value.trim()));
+        }
+        requests = requested.map(stage => ({ stage, count: mintCount, maxPrice: job.maxPrice }));
+      }
+
+      for (const request of requests) {
+        const count = request.count || job.count || parseInt(await prompt(`➤ Enter NFT mint count per wallet for ${collectionName} stage ${request.stage}: `));
+        if (isNaN(count) || count <= 0) {
+          log(`Invalid mint count input, skipping stage ${request.stage}`);
+          continue;
+        }
+        const choice = chooseStage({ stages, requested: request.stage, now });
+        if (!choice.stage) {
+          log(`${choice.reason.charAt(0).toUpperCase()}${choice.reason.slice(1)}, skipping`);
+          continue;
+        }
+        const selectedStage = choice.stage;
+        log(`Selected stage ${selectedStage.index + 1} (${selectedStage.kind}): ${describeStage(selectedStage, chain.symbol)}`);
+        const maxPrice = request.maxPrice !== undefined ? request.maxPrice : job.maxPrice;
+        if (exceedsMaxPrice(selectedStage, { maxPrice })) {
+          log(`Stage price is above the ${maxPrice} ${chain.symbol} cap, skipping`);
+          continue;
+        }
+
+        const target = {
+          chain,
+          walletAddresses: wallets.map(wallet => wallet.address),
+          job,
+          link,
+          collection,
+          collectionId,
+          priceWei: selectedStage.priceWei,
+          collectionName,
+          protocol,
+          tokenId,
+          mintCount: count,
+          eligibility,
+          stages,
+          selectedStage,
+          gasStrategy: createGasStrategy({ ...job, multiplier: GAS_MULTIPLIER }),
+          concurrency: job.concurrency || DEFAULT_CONCURRENCY
+        };
+        target.walletCounts = await capWalletCounts(target);
+        if (!totalMintCount(target)) {
+          log(`Skipping: Nothing left to mint for stage ${selectedStage.index + 1}`);
+          continue;
+        }
+        targets.push(target);
+      }
+    }
+
+    if (!targets.length) logger.warn('Error: No eligible collection or unsupported protocol');
+    return targets;
+  }
+
+  function totalMintCount({ walletCounts }) {
+    return Object.values(walletCounts).reduce((total, count) => total + count, 0);
+  }
+
+  function describeTarget({ collectionName, selectedStage }) {
+    return `${collectionName} stage ${selectedStage.index + 1} (${selectedStage.kind})`;
+  }
+
+  // Waits for a stage that has not started. Fees, pre-flight results and signed
+  // transactions go stale, so they are made a short lead before release, and the
+  // price is re-checked after that. Returns false when the target was abandoned.
+  async function launchTarget(target) {
+    const { job, link, collection, collectionId, collectionName, selectedStage } = target;
+    const stageChoice = selectedStage.index + 1;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (selectedStage.startTime > now) {
+      const waitMs = (selectedStage.startTime - now) * 1000;
+      log(`Preparing for launch in ${waitMs / 1000}s: ${collectionName} at ${new Date(selectedStage.startTime * 1000).toLocaleString()}`);
+
+      const offsetMs = job.launchOffset !== undefined ? job.launchOffset : LAUNCH_OFFSET_MS;
+      let launchPlan = await createLaunchPlan(provider, selectedStage.startTime, { offsetMs });
+      logLaunchPlan(launchPlan);
+      if (!job.dryRun && launchPlan.releaseAtMs - Date.now() > PREPARE_LEAD_MS) {
+        log(`Signing ${PREPARE_LEAD_MS / 1000}s before release, at ${new Date(launchPlan.releaseAtMs - PREPARE_LEAD_MS).toLocaleTimeString()}`);
+        await sleepUntil(launchPlan.releaseAtMs - PREPARE_LEAD_MS);
+        launchPlan = await createLaunchPlan(provider, selectedStage.startTime, { offsetMs });
+        logLaunchPlan(launchPlan);
+      }
+
+      const preparedTxs = await prepareAllTransactions(target, { sign: !job.dryRun, dryRun: job.dryRun });
+      const preparedCount = preparedTxs.reduce((total, { transactions }) => total + transactions.length, 0);
+      log(`${preparedCount} transactions ${job.dryRun ? 'prepared' : 'signed'} across ${preparedTxs.length} wallet(s)`);
+      if (!preparedCount) {
+        logger.warn('No wallet can mint this stage (see pre-flight results above), aborting');
+        return false;
+      }
+      target.preparedTxs = preparedTxs;
+
+      if (job.dryRun) {
+        log('Dry run: not waiting for launch');
+      } else {
+        const priceChanges = await findStagePriceChanges(link, collection, preparedTxs);
+        if (priceChanges === null) {
+          logger.warn('Could not re-check stage prices before launch, continuing with the discovered prices');
+        } else if (priceChanges.length) {
+          logger.warn(`Stage price changed since discovery (${priceChanges.join('; ')}), aborting`);
+          await releasePreparedNonces(target, preparedTxs);
+          return false;
+        }
+        await sleepUntil(launchPlan.releaseAtMs);
+        target.launchPlan = launchPlan;
+      }
+    } else {
+      log(`Launch time already passed, proceeding immediately: ${collectionName}`);
+    }
+
+    if (!job.dryRun) {
+      const totalCount = totalMintCount(target);
+      notifier.notify('stage-live', `${collectionName} stage ${stageChoice} (${selectedStage.kind}) is live on ${chain.slug}: ${describeStage(selectedStage, chain.symbol)}, minting ${totalCount} NFT(s)`, {
+        chain: chain.slug,
+        collectionId,
+        collectionName,
+        stage: stageChoice,
+        stageKind: selectedStage.kind,
+        priceWei: selectedStage.priceWei.toString(),
+        startTime: selectedStage.startTime,
+        count: totalCount
+      });
+    }
+    return true;
+  }
+
+  // Single-target planning and launch, for watch jobs
+  async function checkMintDetails(group, job = {}) {
+    const [target] = await planTargets(group, { ...job, targets: undefined });
+    if (!target) return null;
+    const confirmed = await confirm(job, `➤ Mint ${totalMintCount(target)} NFT(s) across ${wallets.length} wallet(s) for ${target.collectionName}? (y/N): `);
+    if (!confirmed) {
+      log('Mint cancelled');
+      return null;
+    }
+    return await launchTarget(target) ? target : null;
+  }
+
+  async function fetchLink(job) {
+    const collectionLink = job.link || await prompt('➤ Enter Magic Eden collection link: ');
+    const link = parseCollectionLink(collectionLink);
+    await useChain(link.chain, job.wallets);
+    provider.broadcastAll = job.broadcastAll;
+
+    const fetchResult = await fetchLatestMintsOrLaunchpad(link);
+    if (!fetchResult || !fetchResult.collections.length) {
+      log('No collections found');
+      return null;
+    }
+    log(`Detected link type: ${link.source}`);
+    return fetchResult;
+  }
+
+  function logTokenOptions(collectionName, options) {
+    const now = Math.floor(Date.now() / 1000);
+    log(`Token IDs in ${collectionName}:`);
+    options.forEach(({ tokenId, collection, stages }) => {
+      log(`  Token ${tokenId}${collection.isMinting ? '' : ' [not minting]'}`);
+      if (!stages) log('    No stages listed for this token, the collection stages apply');
+      (stages || []).forEach((stage) => {
+        const ended = hasStageEnded(stage, now) ? ' [ended]' : '';
+        log(`    Stage ${stage.index + 1} (${stage.kind})${ended} - ${describeStage(stage, chain.symbol)}`);
+      });
+    });
+  }
+
+  // An ERC1155 collection can have several token IDs, each with its own stages.
+  // Every chosen ID becomes a fetch result of its own and is minted in turn;
+  // other collections pass through unchanged.
+  async function selectTokens(fetchResult, job) {
+    const [first] = fetchResult.collections;
+    const requested = job.tokenIds || fetchResult.link.tokenIds;
+    if (first.protocol !== 'erc1155') {
+      if (requested) logger.warn(`${first.collectionName} is ${first.protocol}, ignoring token ID(s) ${requested.join(', ')}`);
+      return [fetchResult];
+    }
+
+    let options;
+    try {
+      options = await listTokenOptions(meClient, fetchResult, { tokenIds: requested });
+    } catch (error) {
+      if (requested) {
+        logger.warn(`Could not look up token ID(s) ${requested.join(', ')}: ${error.message}`);
+        return [];
+      }
+      logger.warn(`Could not list token IDs (${error.message}), using token ${first.tokenId}`);
+      return [fetchResult];
+    }
+    logTokenOptions(first.collectionName, options);
+
+    let selected;
+    if (requested) {
+      const missing = requested.filter(tokenId => !options.some(option => option.tokenId === tokenId));
+      if (missing.length) logger.warn(`Token ID(s) ${missing.join(', ')} not found in ${first.collectionName}`);
+      selected = requested.map(tokenId => options.find(option => option.tokenId === tokenId)).filter(Boolean);
+    } else {
+      const now = Math.floor(Date.now() / 1000);
+      const mintable = options.filter(({ collection, stages }) =>
+        collection.isMinting && (!stages || stages.some(stage => !hasStageEnded(stage, now)))
+      );
+      if (mintable.length <= 1) {
+        selected = mintable;
+      } else {
+        let chosen;
+        try {
+          chosen = parseTokenIds(await prompt(`➤ Select token ID(s) to mint, comma-separated (${mintable.map(({ tokenId }) => tokenId).join(', ')}): `)) || [];
+        } catch (error) {
+          log(`${error.message}, aborting`);
+          return [];
+        }
+        selected = chosen.map(tokenId => mintable.find(option => option.tokenId === tokenId)).filter(Boolean);
+      }
+    }
+
+    if (!selected.length) {
+      log('No mintable token ID selected');
+      return [];
+    }
+    log(`Minting token ID(s) ${selected.map(({ tokenId }) => tokenId).join(', ')}`);
+    return selected.map(option => ({
+      ...fetchResult,
+      collections: [option.collection],
+      stages: fetchResult.linkType === 'launchpad' ? option.stages : fetchResult.stages
+    }));
+  }
+
+  function logTargets(targets) {
+    log(`${targets.length} mint targets planned:`);
+    targets.forEach((target, i) => {
+      const { chain: targetChain, selectedStage, mintCount } = target;
+      log(`  ${i + 1}. ${describeTarget(target)} on ${targetChain.slug}: ${mintCount} per wallet, ${totalMintCount(target)} in total at ${ethers.utils.formatEther(selectedStage.priceWei)} ${targetChain.symbol}, starts ${new Date(selectedStage.startTime * 1000).toLocaleString()}`);
+    });
+  }
+
+  function logRunSummary(outcomes) {
+    log('Run summary:');
+    const totals = { succeeded: 0, failed: 0, spent: new Map() };
+    outcomes.forEach(({ target, summaries, aborted }) => {
+      const { chain: targetChain } = target;
+      const results = summaries.flatMap(summary => [...summary.results, ...(summary.fillers || [])]);
+      const succeeded = summaries.reduce((total, summary) => total + summary.succeeded, 0);
+      const failed = summaries.reduce((total, summary) => total + summary.failed, 0);
+      const spentWei = results.reduce((total, result) => total.add(result.spentWei || 0), ethers.constants.Zero);
+      const tokenIds = summaries.flatMap(summary => summary.results.flatMap(result => result.tokenIds));
+      totals.succeeded += succeeded;
+      totals.failed += failed;
+      totals.spent.set(targetChain.symbol, (totals.spent.get(targetChain.symbol) || ethers.constants.Zero).add(spentWei));
+
+      const outcome = aborted
+        ? `aborted before broadcast, ${aborted}`
+        : `${succeeded} succeeded, ${failed} failed, spent ${ethers.utils.formatEther(spentWei)} ${targetChain.symbol}${tokenIds.length ? `, token IDs ${tokenIds.join(', ')}` : ''}`;
+      log(`  ${describeTarget(target)} on ${targetChain.slug}: ${outcome}`);
+    });
+    const spent = [...totals.spent].map(([symbol, wei]) => `${ethers.utils.formatEther(wei)} ${symbol}`).join(', ');
+    log(`Total: ${totals.succeeded} succeeded, ${totals.failed} failed, spent ${spent}`);
+  }
+
+  // Every job's targets are planned up front and confirmed once. Each target then
+  // gets its own engine over the shared chain contexts and is launched on its own
+  // schedule, so a long mint does not hold back the next launch; the run summary
+  // waits for every receipt. Targets on a chain share its nonce manager.
+  async function mintAll(jobs) {
+    const targets = [];
+    for (const [index, job] of jobs.entries()) {
+      if (jobs.length > 1) log(`Planning job ${index + 1}/${jobs.length}${job.link ? `: ${job.link}` : ''}`);
+      const fetchResult = await fetchLink(job);
+      if (!fetchResult) continue;
+
+      const groups = await selectTokens(fetchResult, job);
+      for (const group of groups) {
+        if (groups.length > 1) log(`Token ID ${group.collections[0].tokenId}`);
+        targets.push(...await planTargets(group, job));
+      }
+    }
+    if (!targets.length) return [];
+
+    targets.sort((a, b) => a.selectedStage.startTime - b.selectedStage.startTime);
+    const totalCount = targets.reduce((total, target) => total + totalMintCount(target), 0);
+    let question = `➤ Mint ${totalCount} NFT(s) across ${wallets.length} wallet(s) for ${targets[0].collectionName}? (y/N): `;
+    if (targets.length > 1) {
+      logTargets(targets);
+      question = `➤ Mint ${totalCount} NFT(s) across ${targets.length} targets? (y/N): `;
+    }
+    const confirmed = await confirm({ yes: targets.every(target => target.job.yes || target.job.dryRun) }, question);
+    if (!confirmed) {
+      log('Mint cancelled');
+      return [];
+    }
+    if (targets.length === 1) return (await runTarget(targets[0])).summaries;
+
+    // Targets for the same collection are re-capped when they prepare, counting
+    // what the others have signed and not settled yet
+    const collectionKey = ({ chain: targetChain, collectionId, tokenId }) => `${targetChain.slug}:${collectionId}:${tokenId}`.toLowerCase();
+    targets.forEach((target) => {
+      if (targets.filter(other => collectionKey(other) === collectionKey(target)).length > 1) target.collectionKey = collectionKey(target);
+    });
+
+    const outcomes = await Promise.all(targets.map((target, i) => {
+      const label = `[${i + 1}/${targets.length}]`;
+      log(`Target ${label.slice(1, -1)}: ${describeTarget(target)}`);
+      const targetEngine = createMintEngine({
+        signers,
+        provider: providerOption,
+        meClient: defaultMeClient,
+        env,
+        logger: prefixLogger(logger, label),
+        notifier,
+        prompt,
+        promptSecret,
+        ledgerPath,
+        maxSpend
+      }, { chainContexts, pendingMints });
+      return targetEngine.runTarget(target).catch((error) => {
+        logger.warn(`${label} ${describeTarget(target)} failed: ${error.message}`);
+        return { target, summaries: [], aborted: error.message };
+      });
+    }));
+
+    logRunSummary(outcomes);
+    return outcomes.flatMap(({ summaries }) => summaries);
+  }
+
+  // Launches, mints and sweeps one planned target on its chain
+  async function runTarget(target) {
+    const { job } = target;
+    if (!chain || target.chain.slug !== chain.slug || target.walletAddresses.join() !== wallets.map(wallet => wallet.address).join()) {
+      await useChain(target.chain.slug, job.wallets);
+    }
+    provider.broadcastAll = job.broadcastAll;
+    if (!await launchTarget(target)) return { target, summaries: [], aborted: 'see log' };
+
+    const summaries = await mintOnChain(target, { dryRun: job.dryRun });
+    if (job.vault && summaries.length) await sweepToVault(target, summaries, job);
+    return { target, summaries };
+  }
+
+  async function mint(job = {}) {
+    return mintAll([job]);
+  }
+
+  async function pollWatchJob(store, job) {
+    const key = jobKey(job);
+    const link = parseCollectionLink(job.link);
+    await useChain(link.chain, job.wallets);
+    provider.broadcastAll = job.broadcastAll;
+
+    const fetchResult = await fetchLatestMintsOrLaunchpad(link);
+    if (!fetchResult || !fetchResult.collections.length) {
+      log(`[watch] ${job.link}: no collection data yet`);
+      return null;
+    }
+
+    const [group] = job.tokenIds || link.tokenIds ? await selectTokens(fetchResult, job) : [fetchResult];
+    if (!group) return null;
+
+    const { linkType, collections, stages: launchpadStages } = group;
+    const stages = await loadCollectionStages(linkType, collections[0], launchpadStages);
+    const stage = stages && stages[job.stage - 1];
+    if (!stage) {
+      log(`[watch] ${job.link}: stage ${job.stage} is not published yet`);
+      return null;
+    }
+
+    if (hasStageEnded(stage, Math.floor(Date.now() / 1000))) {
+      store.update(key, { status: 'skipped', reason: 'stage ended' });
+      log(`[watch] ${job.link}: stage ${job.stage} has ended, skipping`);
+      return null;
+    }
+    if (exceedsMaxPrice(stage, job)) {
+      const price = ethers.utils.formatEther(stage.priceWei);
+      store.update(key, { status: 'skipped', reason: `price ${price} ${chain.symbol} is above the ${job.maxPrice} cap` });
+      log(`[watch] ${job.link}: stage ${job.stage} costs ${price} ${chain.symbol}, above the ${job.maxPrice} cap, skipping`);
+      return null;
+    }
+
+    const startMs = stage.startTime * 1000;
+    if (startMs - Date.now() > WATCH_LEAD_MS) {
+      if (store.get(key).startTime !== stage.startTime) {
+        store.update(key, { startTime: stage.startTime });
+        log(`[watch] ${job.link}: stage ${job.stage} opens ${new Date(startMs).toLocaleString()}`);
+      }
+      return startMs;
+    }
+
+    log(`[watch] ${job.link}: stage ${job.stage} is opening, preparing mint`);
+    store.update(key, { status: 'preparing', startTime: stage.startTime });
+    const target = await checkMintDetails({ linkType, collections, stages: launchpadStages, link }, { ...job, yes: true });
+    if (!target) {
+      store.update(key, { status: 'failed', reason: 'aborted before broadcast, see log' });
+      return null;
+    }
+
+    store.update(key, { status: 'minting' });
+    const summaries = await mintOnChain(target, { dryRun: job.dryRun });
+    const results = summaries.map(({ address, succeeded, failed, results: txResults }) => ({
+      address,
+      succeeded,
+      failed,
+      transactions: txResults.map(({ index, nonce, hash, status, reason, blockNumber }) => ({ index, nonce, hash, status, reason: reason || null, blockNumber: blockNumber || null }))
+    }));
+    const succeeded = results.reduce((total, result) => total + result.succeeded, 0);
+    store.update(key, { status: succeeded || job.dryRun ? 'done' : 'failed', succeeded, results });
+    if (job.vault && succeeded) await sweepToVault(target, summaries, job);
+    return null;
+  }
+
+  function validateWatchJob(job) {
+    if (job.targets) {
+      throw new Error(`Watch jobs mint one stage each, add a job per stage for ${job.link}`);
+    }
+    if (!job.link || !job.stage || !job.count) {
+      throw new Error('Every watch job needs a link, stage and count');
+    }
+    const tokenIds = job.tokenIds || parseCollectionLink(job.link).tokenIds;
+    if (tokenIds && tokenIds.length > 1) {
+      throw new Error(`Watch jobs mint one token ID each, add a job per token ID for ${job.link}`);
+    }
+  }
+
+  // Watch jobs are polled until their stage opens, then minted one at a time. Jobs
+  // can be added and cancelled while the queue runs. `run` returns once nothing is
+  // pending, or with `idle` keeps waiting for new jobs until `stop` is called.
+  function createJobQueue({ statePath = WATCH_STATE_FILE, pollIntervalMs = WATCH_POLL_INTERVAL * 1000, dryRun = false } = {}) {
+    const store = createJobStore(dryRun ? null : statePath);
+    const jobs = new Map();
+    let stopped = false;
+    let woken = false;
+    let wakeUp = null;
+
+    const describe = key => ({ id: jobId(key), key, ...store.get(key) });
+    const pendingJobs = () => [...jobs.values()].filter(job => !store.isFinal(jobKey(job)));
+
+    // Cuts the current wait short, or skips the next one when the queue is busy polling
+    function wake() {
+      woken = true;
+      if (wakeUp) wakeUp();
+    }
+
+    function add(newJobs) {
+      newJobs.forEach(validateWatchJob);
+      const { interrupted } = store.sync(newJobs);
+      interrupted.forEach((key) => {
+        log(`[watch] ${key} was stopped while broadcasting and will not be retried; check the wallets, then remove it from ${statePath} to run it again`);
+      });
+      newJobs.forEach(job => jobs.set(jobKey(job), job));
+      wake();
+    }
+
+    // A job already known to the state file is not added again, unless it was cancelled
+    function submit(job) {
+      validateWatchJob(job);
+      const key = jobKey(job);
+      const existing = store.get(key);
+      if (existing && existing.status !== 'cancelled' && (jobs.has(key) || store.isFinal(key))) {
+        return { created: false, job: describe(key) };
+      }
+      if (existing) store.update(key, { status: 'pending', reason: null });
+      add([job]);
+      log(`[watch] Added ${key}`);
+      return { created: true, job: describe(key) };
+    }
+
+    function list() {
+      return [...jobs.keys()].map(describe);
+    }
+
+    function get(id) {
+      return list().find(job => job.id === id) || null;
+    }
+
+    function cancel(id, reason = 'cancelled') {
+      const job = get(id);
+      if (!job) return null;
+      if (job.status !== 'pending') throw new Error(`Job ${id} is ${job.status} and can no longer be cancelled`);
+      store.update(job.key, { status: 'cancelled', reason });
+      log(`[watch] Cancelled ${job.key}`);
+      wake();
+      return describe(job.key);
+    }
+
+    async function run({ idle = false } = {}) {
+      stopped = false;
+      while (!stopped && (idle || pendingJobs().length)) {
+        let wakeAtMs = Date.now() + pollIntervalMs;
+        woken = false;
+
+        for (const job of pendingJobs()) {
+          const key = jobKey(job);
+          if (stopped) break;
+          if (store.isFinal(key)) continue;
+          try {
+            const startMs = await pollWatchJob(store, job);
+            if (startMs) wakeAtMs = Math.min(wakeAtMs, startMs - WATCH_LEAD_MS);
+          } catch (error) {
+            logger.warn(`[watch] ${job.link}: ${error.message}`);
+            if (['preparing', 'minting'].includes(store.get(key).status)) {
+              store.update(key, { status: 'failed', reason: error.message });
+            }
+          }
+        }
+
+        if (stopped || !(idle || pendingJobs().length)) break;
+        if (!woken) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, Math.max(wakeAtMs - Date.now(), 0));
+            wakeUp = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          wakeUp = null;
+        }
+      }
+    }
+
+    function stop() {
+      stopped = true;
+      wake();
+    }
+
+    return { dryRun, statePath: store.filePath, add, submit, list, get, cancel, run, stop };
+  }
+
+  async function watch(jobs, { statePath = WATCH_STATE_FILE, pollIntervalMs = WATCH_POLL_INTERVAL * 1000 } = {}) {
+    const dryRun = jobs.some(job => job.dryRun);
+    const queue = createJobQueue({ statePath, pollIntervalMs, dryRun });
+    queue.add(jobs);
+    log(`Watching ${jobs.length} job(s), ${dryRun ? 'dry run, state is not saved' : `state in ${statePath}`}`);
+    await queue.run();
+
+    log('Watch finished:');
+    const records = queue.list();
+    records.forEach(({ link, stage, status, reason, succeeded }) => {
+      log(`  ${link} stage ${stage}: ${status}${reason ? ` (${reason})` : ''}${succeeded !== undefined ? `, ${succeeded} minted` : ''}`);
+    });
+    return records;
+  }
+
+  async function connectTreasury() {
+    const treasury = treasuryOption || await loadTreasury(env, {
+      promptPassword: (filePath) => promptSecret(`➤ Treasury passphrase for ${filePath}: `)
+    });
+    return treasury.connect(provider);
+  }
+
+  async function estimateTransferGas(from, to) {
+    try {
+      return await provider.estimateGas({ from, to, value: 1 });
+    } catch (error) {
+      return ethers.BigNumber.from(TRANSFER_GAS_LIMIT);
+    }
+  }
+
+  async function sendTransfers(transfers, gasStrategy, gasParams) {
+    return Promise.all(transfers.map(async ({ signer, to, amountWei, gasLimit }) => {
+      const label = shortAddress(signer.address);
+      const [nonce] = await nonceManager.reserve(signer.address, 1);
+      const tx = buildTransferTx({ chainId: chain.chainId, to, amountWei, gasLimit, nonce }, gasParams);
+      // One attempt only: a fee bump would eat into the amount that was sized for this fee
+      const result = await sendWithRetry(signer, tx, { ...retryOptions(gasStrategy, label, `Transfer to ${shortAddress(to)}`), maxRetry: 1 });
+      if (result.status !== 'success') {
+        nonceManager.reset(signer.address);
+        log(`[${label}] Transfer ${result.status}: ${result.reason} (${result.message})`);
+      }
+      return { from: signer.address, to, amountWei, ...result };
+    }));
+  }
+
+  function logTransferSummary(title, results) {
+    const sent = results.filter(result => result.status === 'success');
+    const total = sent.reduce((sum, result) => sum.add(result.amountWei), ethers.constants.Zero);
+    log(`${title}: ${sent.length} of ${results.length} transfer(s) confirmed, ${ethers.utils.formatEther(total)} ${chain.symbol} moved`);
+    results.forEach(({ from, to, amountWei, status, reason, hash }) => {
+      const details = [
+        `${shortAddress(from)} -> ${shortAddress(to)}`,
+        `${ethers.utils.formatEther(amountWei)} ${chain.symbol}`,
+        status === 'success' ? status : `${status} (${reason})`,
+        hash ? explorerTxUrl(chain, hash) : null
+      ].filter(Boolean);
+      log(`  ${details.join(' | ')}`);
+    });
+  }
+
+  async function fund(job = {}) {
+    if (job.targets) throw new Error('Funding covers one stage, pass a single --stage');
+    const collectionLink = job.link || await prompt('➤ Enter Magic Eden collection link: ');
+    const link = parseCollectionLink(collectionLink);
+    await useChain(link.chain);
+
+    const fetchResult = await fetchLatestMintsOrLaunchpad(link);
+    if (!fetchResult || !fetchResult.collections.length) {
+      log('No collections found');
+      return [];
+    }
+    const [group] = job.tokenIds || link.tokenIds ? await selectTokens(fetchResult, job) : [fetchResult];
+    if (!group) return [];
+    const [collection] = group.collections;
+    const stages = await loadCollectionStages(group.linkType, collection, group.stages);
+    if (!stages) {
+      logger.warn('Failed to fetch mint stages, aborting');
+      return [];
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let stage;
+    if (job.stage) {
+      stage = stages[job.stage - 1];
+      if (!stage) throw new Error(`Stage ${job.stage} does not exist (${stages.length} stage(s))`);
+    } else {
+      stage = mostExpensiveOpenStage(stages, now);
+      if (!stage) {
+        log('All stages have ended, nothing to fund');
+        return [];
+      }
+      log(`No stage given, funding for the most expensive open stage (${stage.index + 1})`);
+    }
+    log(`Stage ${stage.index + 1} (${stage.kind}): ${describeStage(stage, chain.symbol)}`);
+
+    const requested = job.count || parseInt(await prompt(`➤ Enter NFT mint count per wallet to fund for ${collection.collectionName}: `));
+    if (isNaN(requested) || requested <= 0) {
+      log('Invalid mint count input');
+      return [];
+    }
+    const { count } = capMintCount({ requested, stage });
+
+    const gasStrategy = createGasStrategy({ ...job, multiplier: GAS_MULTIPLIER });
+    const gasParams = await getGasParams(gasStrategy);
+    const treasury = await connectTreasury();
+
+    const plan = [];
+    for (const wallet of wallets) {
+      if (wallet.address === treasury.address) continue;
+      const balanceWei = await provider.getBalance(wallet.address);
+      const { neededWei, shortfallWei } = fundingShortfall({ balanceWei, priceWei: stage.priceWei, count, gasLimit: MINT_GAS_LIMIT, maxFeePerGas: gasParams.maxFeePerGas });
+      log(`[${shortAddress(wallet.address)}] Needs ${ethers.utils.formatEther(neededWei)} ${chain.symbol} for ${count} mint(s), has ${ethers.utils.formatEther(balanceWei)}, short ${ethers.utils.formatEther(shortfallWei)}`);
+      if (!shortfallWei.isZero()) plan.push({ signer: treasury, to: wallet.address, amountWei: shortfallWei });
+    }
+    if (!plan.length) {
+      log('Every wallet already has enough, nothing to fund');
+      return [];
+    }
+
+    const gasLimit = await estimateTransferGas(treasury.address, plan[0].to);
+    plan.forEach((transfer) => { transfer.gasLimit = gasLimit; });
+    const totalWei = sumTransactionCosts(plan.map(({ amountWei }) => ({ value: amountWei, gasLimit, ...gasParams }))).totalWei;
+    const treasuryBalance = await provider.getBalance(treasury.address);
+    log(`Treasury ${treasury.address} holds ${ethers.utils.formatEther(treasuryBalance)} ${chain.symbol}, funding needs up to ${ethers.utils.formatEther(totalWei)} including gas`);
+    if (treasuryBalance.lt(totalWei)) {
+      logger.warn('Treasury balance is too low to fund every wallet, aborting');
+      return [];
+    }
+    if (job.dryRun) {
+      log('Dry run: nothing sent');
+      return [];
+    }
+
+    const confirmed = await confirm(job, `➤ Send ${plan.length} funding transfer(s) from the treasury? (y/N): `);
+    if (!confirmed) {
+      log('Funding cancelled');
+      return [];
+    }
+    const results = await sendTransfers(plan, gasStrategy, gasParams);
+    logTransferSummary('Funding summary', results);
+    return results;
+  }
+
+  async function collect(job = {}, { chainSlug, to } = {}) {
+    if (to && !ethers.utils.isAddress(to)) throw new Error(`Invalid --to address: ${to}`);
+    const slug = chainSlug || (job.link ? parseCollectionLink(job.link).chain : CONFIG.DEFAULT_CHAIN);
+    await useChain(slug);
+
+    const destination = to || (await connectTreasury()).address;
+    const gasStrategy = createGasStrategy({ ...job, multiplier: GAS_MULTIPLIER });
+    const gasParams = await getGasParams(gasStrategy);
+
+    const plan = [];
+    for (const wallet of wallets) {
+      if (wallet.address.toLowerCase() === destination.toLowerCase()) continue;
+      const balanceWei = await provider.getBalance(wallet.address);
+      const gasLimit = await estimateTransferGas(wallet.address, destination);
+      const amountWei = collectableAmount({ balanceWei, gasLimit, maxFeePerGas: gasParams.maxFeePerGas });
+      log(`[${shortAddress(wallet.address)}] Balance ${ethers.utils.formatEther(balanceWei)} ${chain.symbol}, collecting ${ethers.utils.formatEther(amountWei)}`);
+      if (!amountWei.isZero()) plan.push({ signer: wallet, to: destination, amountWei, gasLimit });
+    }
+    if (!plan.length) {
+      log('No wallet has more than the gas needed to send, nothing to collect');
+      return [];
+    }
+
+    const totalWei = plan.reduce((sum, { amountWei }) => sum.add(amountWei), ethers.constants.Zero);
+    log(`Collecting ${ethers.utils.formatEther(totalWei)} ${chain.symbol} from ${plan.length} wallet(s) to ${destination}`);
+    if (job.dryRun) {
+      log('Dry run: nothing sent');
+      return [];
+    }
+
+    const confirmed = await confirm(job, `➤ Send ${plan.length} collection transfer(s) to ${destination}? (y/N): `);
+    if (!confirmed) {
+      log('Collection cancelled');
+      return [];
+    }
+    const results = await sendTransfers(plan, gasStrategy, gasParams);
+    logTransferSummary('Collection summary', results);
+    return results;
+  }
+
+  // Fees of the transactions still pending at these nonces, from the last hash
+  // the ledger has for each: retries may have raised them past the current fee
+  async function findPendingFees(address, nonces) {
+    let records = [];
+    try {
+      records = readLedger(ledgerPath);
+    } catch (error) {
+      logger.warn(`Could not read the ledger: ${error.message}`);
+    }
+    const hashes = new Map();
+    records.forEach((record) => {
+      if (record.chain === chain.slug && record.hash && record.wallet.toLowerCase() === address.toLowerCase() && nonces.includes(record.nonce)) {
+        hashes.set(record.nonce, record.hash);
+      }
+    });
+
+    const fees = new Map();
+    for (const [nonce, hash] of hashes) {
+      const tx = await provider.getTransaction(hash).catch(() => null);
+      if (!tx || tx.blockNumber) continue;
+      fees.set(nonce, tx.maxFeePerGas
+        ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+        : { maxFeePerGas: tx.gasPrice, maxPriorityFeePerGas: tx.gasPrice });
+    }
+    return fees;
+  }
+
+  // The larger of the bumped current fee and the bumped fee of the pending transaction
+  function replacementFees(currentFees, pendingFees, ceiling) {
+    const current = bumpFees(currentFees, CANCEL_FEE_BUMP_PERCENT, ceiling) || currentFees;
+    const outbid = pendingFees && bumpFees(pendingFees, CANCEL_FEE_BUMP_PERCENT, ceiling);
+    if (!outbid) return current;
+    const max = (a, b) => (ethers.BigNumber.from(a).gt(b) ? ethers.BigNumber.from(a) : ethers.BigNumber.from(b));
+    return {
+      maxFeePerGas: max(current.maxFeePerGas, outbid.maxFeePerGas),
+      maxPriorityFeePerGas: max(current.maxPriorityFeePerGas, outbid.maxPriorityFeePerGas)
+    };
+  }
+
+  // Every nonce between the mined and the pending count gets a zero-value self-transfer
+  // priced above current fees, which replaces whatever is stuck there
+  async function cancel(job = {}, { chainSlug } = {}) {
+    const slug = chainSlug || (job.link ? parseCollectionLink(job.link).chain : CONFIG.DEFAULT_CHAIN);
+    await useChain(slug);
+
+    const plan = [];
+    for (const wallet of wallets) {
+      const [minedNonce, pendingNonce] = await Promise.all([
+        provider.getTransactionCount(wallet.address, 'latest'),
+        provider.getTransactionCount(wallet.address, 'pending')
+      ]);
+      if (pendingNonce <= minedNonce) continue;
+      const nonces = Array.from({ length: pendingNonce - minedNonce }, (_, i) => minedNonce + i);
+      log(`[${shortAddress(wallet.address)}] ${nonces.length} pending transaction(s) at nonce ${nonces.length > 1 ? `${minedNonce} to ${pendingNonce - 1}` : minedNonce}`);
+      plan.push({ wallet, nonces });
+    }
+    if (!plan.length) {
+      log('No wallet has pending transactions, nothing to cancel');
+      return [];
+    }
+
+    const gasStrategy = createGasStrategy({ ...job, multiplier: GAS_MULTIPLIER });
+    const currentFees = await getGasParams(gasStrategy);
+    const gwei = value => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+    for (const entry of plan) {
+      const pendingFees = await findPendingFees(entry.wallet.address, entry.nonces);
+      entry.gasParams = new Map(entry.nonces.map((nonce) => {
+        const pending = pendingFees.get(nonce);
+        const gasParams = replacementFees(currentFees, pending, gasStrategy.maxFeePerGas);
+        if (pending) {
+          const outbids = gasParams.maxFeePerGas.gt(pending.maxFeePerGas) && gasParams.maxPriorityFeePerGas.gt(pending.maxPriorityFeePerGas);
+          const note = outbids ? '' : ', the max fee ceiling leaves no room to outbid it and the node may reject the replacement';
+          log(`[${shortAddress(entry.wallet.address)}] Nonce ${nonce} is pending at a max fee of ${gwei(pending.maxFeePerGas)}, replacing at ${gwei(gasParams.maxFeePerGas)}${note}`);
+        }
+        return [nonce, gasParams];
+      }));
+    }
+    const count = plan.reduce((total, { nonces }) => total + nonces.length, 0);
+    const baseFees = replacementFees(currentFees, null, gasStrategy.maxFeePerGas);
+    log(`Replacing ${count} pending transaction(s) at a max fee of at least ${gwei(baseFees.maxFeePerGas)}`);
+    if (job.dryRun) {
+      log('Dry run: nothing sent');
+      return [];
+    }
+
+    const confirmed = await confirm(job, `➤ Cancel ${count} pending transaction(s) across ${plan.length} wallet(s)? (y/N): `);
+    if (!confirmed) {
+      log('Cancel aborted');
+      return [];
+    }
+
+    const results = (await Promise.all(plan.map(async ({ wallet, nonces, gasParams }) => {
+      const label = shortAddress(wallet.address);
+      const walletResults = await Promise.all(nonces.map(async (nonce) => {
+        const tx = buildSelfTransferTx({ chainId: chain.chainId, address: wallet.address, nonce }, gasParams.get(nonce));
+        const result = await sendWithRetry(wallet, tx, retryOptions(gasStrategy, label, `Cancel for nonce ${nonce}`));
+        return { address: wallet.address, ...result };
+      }));
+      nonceManager.reset(wallet.address);
+      return walletResults;
+    }))).flat();
+
+    const replaced = results.filter(result => result.status === 'success').length;
+    const mined = results.filter(result => result.reason === 'nonce-used').length;
+    log(`Cancel summary: ${replaced} of ${results.length} replaced, ${mined} mined before the replacement, ${results.length - replaced - mined} failed`);
+    results.forEach(({ address, nonce, status, reason, hash }) => {
+      const outcome = status === 'success' ? 'replaced' : reason === 'nonce-used' ? 'already mined' : `${status} (${reason})`;
+      log(`  ${shortAddress(address)} | nonce ${nonce} | ${outcome}${hash ? ` | ${explorerTxUrl(chain, hash)}` : ''}`);
+    });
+    return results;
+  }
+
+  function report({ csvPath } = {}) {
+    const records = readLedger(ledgerPath);
+    if (!records.length) {
+      log(`No mints recorded in ${ledgerPath}`);
+      return null;
+    }
+
+    const summary = summarizeLedger(records);
+    const symbolFor = (slug) => (CONFIG.CHAINS[slug] || {}).symbol || '';
+    log(`Mint report for ${records.length} transaction(s) in ${ledgerPath}`);
+    log('By collection:');
+    summary.collections.forEach((totals) => {
+      log(`  ${totals.collectionName} (${totals.chain} ${totals.collection}): ${describeTotals(totals, symbolFor(totals.chain))}`);
+    });
+    log('By wallet:');
+    summary.wallets.forEach((totals) => {
+      log(`  ${totals.wallet} (${totals.chain}): ${describeTotals(totals, symbolFor(totals.chain))}`);
+    });
+
+    if (csvPath) {
+      fs.writeFileSync(csvPath, summaryToCsv(summary, symbolFor));
+      log(`CSV written to ${csvPath}`);
+    }
+    return summary;
+  }
+
+  async function close() {
+    chainContexts.forEach(({ provider: chainProvider }) => {
+      if (chainProvider.stopHealthChecks) chainProvider.stopHealthChecks();
+    });
+    await notifier.flush();
+    await defaultMeClient.close();
+  }
+
+  return {
+    useChain,
+    prepareAllTransactions,
+    mintOnChain,
+    sweepToVault,
+    mint,
+    mintAll,
+    runTarget,
+    watch,
+    createJobQueue,
+    fund,
+    collect,
+    cancel,
+    report,
+    close,
+  };
+}
+
+module.exports = {
+  WATCH_STATE_FILE,
+  WATCH_POLL_INTERVAL,
+  LEDGER_FILE,
+  createMintEngine,
+};
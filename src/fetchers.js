@@ -0,0 +1,108 @@
+const { normalizeStages } = require('./stages.js');
+
+/**
+ * @typedef {Object} FetchResult
+ * @property {string} linkType
+ * @property {Array<import('./magicEdenClient.js').MintCollection>} collections
+ * @property {Array<import('./stages.js').Stage>|null} stages Launchpad stages, null for mint-terminal links
+ * @property {import('./links.js').CollectionLink} link
+ */
+
+// Mint-terminal links try the v3 tokens endpoint first and fall back to v4
+// collections when it fails or has nothing for the contract.
+/** @returns {Promise<FetchResult>} */
+async function fetchCollections(client, link, { log = () => {} } = {}) {
+  const { linkType, contract, slug } = link;
+  if (linkType === 'launchpad') {
+    const { collections, stages } = await client.getLaunchpad(slug);
+    return { linkType, collections, stages, link };
+  }
+
+  let collections = [];
+  try {
+    collections = await client.getTokens(contract);
+  } catch (error) {
+    log(`Fetch error: ${error.message}`);
+  }
+  if (!collections.length) {
+    log('No tokens found in v3 response, trying v4 collections');
+    collections = await client.getCollections([contract]);
+  }
+  log(`Found ${collections.length} collections`);
+  return { linkType, collections, stages: null, link };
+}
+
+// v4 stages describe the whole collection, so an ERC1155 token's own v3 stages win when it has them
+async function loadCollectionStages(client, { linkType, collection, launchpadStages }, { log = () => {} } = {}) {
+  if (linkType === 'launchpad') return launchpadStages;
+  if (collection.protocol === 'erc1155' && collection.mintStages && collection.mintStages.length) {
+    return normalizeStages(collection.mintStages);
+  }
+
+  try {
+    return await client.getStages(collection.collectionId);
+  } catch (error) {
+    if (!collection.mintStages || !collection.mintStages.length) throw error;
+    log(`Error fetching start time: ${error.message}, using mint stages from the v3 tokens response`);
+    return normalizeStages(collection.mintStages);
+  }
+}
+
+// Fresh stage list for the price re-check right before launch, from the same source
+// loadCollectionStages used and never from the response cache
+async function fetchLatestStages(client, link, collection) {
+  if (link.linkType === 'launchpad') {
+    return (await client.getLaunchpad(link.slug, { fresh: true })).stages;
+  }
+  if (collection.protocol === 'erc1155' && collection.mintStages && collection.mintStages.length) {
+    const [token] = await client.getTokens(collection.collectionId, collection.tokenId, { fresh: true });
+    return normalizeStages(token ? token.mintStages : []);
+  }
+  return client.getStages(collection.collectionId, { fresh: true });
+}
+
+/**
+ * @typedef {Object} TokenOption
+ * @property {string} tokenId
+ * @property {import('./magicEdenClient.js').MintCollection} collection Entry for this token ID
+ * @property {Array<import('./stages.js').Stage>|null} stages Null when the listing has no stages for it
+ */
+
+// Launchpad stages name the token they mint and are grouped by it, renumbered per
+// token. Mint-terminal collections are listed through the tokens endpoint, or
+// looked up one by one when the IDs are already known.
+/** @returns {Promise<Array<TokenOption>>} */
+async function listTokenOptions(client, { linkType, collections, stages, link }, { tokenIds = null } = {}) {
+  if (linkType === 'launchpad') {
+    const [collection] = collections;
+    const groups = new Map();
+    stages.forEach((stage) => {
+      const tokenId = stage.tokenId || collection.tokenId;
+      if (!groups.has(tokenId)) groups.set(tokenId, []);
+      groups.get(tokenId).push(stage);
+    });
+    return [...groups.entries()]
+      .filter(([tokenId]) => !tokenIds || tokenIds.includes(tokenId))
+      .map(([tokenId, tokenStages]) => ({
+        tokenId,
+        collection: { ...collection, tokenId },
+        stages: tokenStages.map((stage, index) => ({ ...stage, index })),
+      }));
+  }
+
+  const tokens = tokenIds
+    ? (await Promise.all(tokenIds.map(tokenId => client.getTokens(link.contract, tokenId)))).flat()
+    : await client.getCollectionTokens(link.contract);
+  return tokens.map(collection => ({
+    tokenId: collection.tokenId,
+    collection,
+    stages: collection.mintStages.length ? normalizeStages(collection.mintStages) : null,
+  }));
+}
+
+module.exports = {
+  fetchCollections,
+  loadCollectionStages,
+  fetchLatestStages,
+  listTokenOptions,
+};
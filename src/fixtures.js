@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { toUnixSeconds } = require('./stages.js');
+
+const DEFAULT_FIXTURES_DIR = '.mint-fixtures';
+const MANIFEST_FILE = 'manifest.json';
+const TIME_KEYS = ['startTime', 'endTime'];
+const ADDRESS_PATTERN = /0x[0-9a-fA-F]{40}/g;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} method
+ * @property {string} path Path and query, without the API base URL
+ * @property {Object} [body] JSON request body
+ * @property {number} status
+ * @property {Object} data JSON response body
+ * @property {number} recordedAt Unix seconds
+ */
+
+/**
+ * @typedef {Object} FixtureManifest
+ * @property {Array<string>} links Links the fixtures were recorded for
+ * @property {number} recordedAt Unix seconds
+ */
+
+function requestPath(url) {
+  const parsed = new URL(url, 'http://localhost');
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+// Requests match on method, path and JSON body, ignoring case so addresses match however they are written
+function fixtureKey({ method = 'GET', path: fixturePath, body }) {
+  return `${method} ${fixturePath} ${body === undefined ? '' : JSON.stringify(body)}`.toLowerCase();
+}
+
+function fixtureFileName(fixture) {
+  const label = fixture.path.split('?')[0].replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const hash = crypto.createHash('sha256').update(fixtureKey(fixture)).digest('hex').slice(0, 12);
+  return `${label}-${hash}.json`;
+}
+
+// One file per distinct request, overwritten when it is made again. A 404 is an
+// answer (no such token) and is saved too; other failures are not.
+function createFixtureRecorder(dir = DEFAULT_FIXTURES_DIR, { log = () => {} } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = new Set();
+
+  function save(options, status, data) {
+    const fixture = {
+      method: options.method || 'GET',
+      path: requestPath(options.url),
+      body: options.body,
+      status,
+      data,
+      recordedAt: Math.floor(Date.now() / 1000),
+    };
+    const file = fixtureFileName(fixture);
+    fs.writeFileSync(path.join(dir, file), `${JSON.stringify(fixture, null, 2)}\n`);
+    files.add(file);
+    log(`Recorded ${fixture.method} ${fixture.path} to ${file}`);
+  }
+
+  function wrap(transport) {
+    async function request(options) {
+      try {
+        const response = await transport.request(options);
+        save(options, response.status, response.data);
+        return response;
+      } catch (error) {
+        if (error.status === 404) save(options, 404, { error: error.message });
+        throw error;
+      }
+    }
+
+    return { ...transport, name: `${transport.name}, recording to ${dir}`, request };
+  }
+
+  return { dir, wrap, count: () => files.size };
+}
+
+function saveManifest(dir, { links }) {
+  const manifest = { links, recordedAt: Math.floor(Date.now() / 1000) };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/** @returns {{ manifest: FixtureManifest, fixtures: Array<Fixture> }} */
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json') && file !== MANIFEST_FILE) : [];
+  if (!files.length) {
+    throw new Error(`No fixtures in ${dir}, record some first with: node mint.js record --fixtures ${dir} --link <link>`);
+  }
+
+  const readJson = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid fixture file ${path.join(dir, file)}: ${error.message}`);
+    }
+  };
+  const fixtures = files.sort().map(readJson);
+  const manifest = fs.existsSync(path.join(dir, MANIFEST_FILE))
+    ? readJson(MANIFEST_FILE)
+    : { links: [], recordedAt: Math.min(...fixtures.map(fixture => fixture.recordedAt)) };
+  return { manifest, fixtures };
+}
+
+function collectStartTimes(value, times = []) {
+  if (Array.isArray(value)) {
+    value.forEach(entry => collectStartTimes(entry, times));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, entry]) => {
+      const time = key === 'startTime' ? toUnixSeconds(entry) : null;
+      if (time) {
+        times.push(time);
+      } else {
+        collectStartTimes(entry, times);
+      }
+    });
+  }
+  return times;
+}
+
+// Seconds to add to every recorded time so that the first stage that had not
+// started at recording time (or the last to start, when all had) starts
+// `startsInSeconds` from now. Stages keep their spacing.
+function computeTimeShift({ manifest, fixtures }, startsInSeconds, now = Math.floor(Date.now() / 1000)) {
+  const starts = [...new Set(fixtures.flatMap(fixture => collectStartTimes(fixture.data)))].sort((a, b) => a - b);
+  if (!starts.length) return 0;
+  const anchor = starts.find(time => time > manifest.recordedAt) || starts[starts.length - 1];
+  return Math.round(now + startsInSeconds - anchor);
+}
+
+// Keeps the recorded format: seconds, milliseconds, either as a numeric string, or an ISO date
+function shiftTime(value, seconds) {
+  if (!value) return value;
+  if (typeof value === 'number') return value > 1e12 ? value + seconds * 1000 : value + seconds;
+  if (/^\d+$/.test(value)) return String(shiftTime(Number(value), seconds));
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? value : new Date(ms + seconds * 1000).toISOString();
+}
+
+function rewriteFixtureData(value, { shiftSeconds, addresses }) {
+  if (Array.isArray(value)) return value.map(entry => rewriteFixtureData(entry, { shiftSeconds, addresses }));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      TIME_KEYS.includes(key) ? shiftTime(entry, shiftSeconds) : rewriteFixtureData(entry, { shiftSeconds, addresses }),
+    ]));
+  }
+  if (typeof value === 'string') {
+    return value.replace(ADDRESS_PATTERN, address => addresses.get(address.toLowerCase()) || address);
+  }
+  return value;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Stand-in for the Magic Eden API that answers with recorded fixtures. Stage
+ * times are moved by `shiftSeconds`, and a recorded contract address can be
+ * swapped for a local one with `mapAddress`: responses name the local contract
+ * and requests naming it find the recorded answer. Requests without a fixture
+ * get a 404.
+ */
+function createReplayServer({ fixtures, shiftSeconds = 0, host = '127.0.0.1', port = 0, log = () => {} }) {
+  const byKey = new Map(fixtures.map(fixture => [fixtureKey(fixture), fixture]));
+  const addresses = new Map();
+  const recordedAddresses = new Map();
+
+  function mapAddress(recorded, local) {
+    addresses.set(recorded.toLowerCase(), local);
+    recordedAddresses.set(local.toLowerCase(), recorded.toLowerCase());
+  }
+
+  function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const text = await readBody(req);
+    let body;
+    try {
+      body = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON body: ${error.message}` });
+      return;
+    }
+
+    const key = fixtureKey({ method: req.method, path: requestPath(req.url), body })
+      .replace(ADDRESS_PATTERN, address => recordedAddresses.get(address) || address);
+    const fixture = byKey.get(key);
+    if (!fixture) {
+      log(`No fixture for ${req.method} ${req.url}${text ? ` ${text}` : ''}`);
+      sendJson(res, 404, { error: 'No fixture recorded for this request' });
+      return;
+    }
+    sendJson(res, fixture.status, rewriteFixtureData(fixture.data, { shiftSeconds, addresses }));
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      log(`Replay server error: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+    });
+  });
+
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        const address = server.address();
+        resolve({ host: address.address, port: address.port, url: `http://${address.address}:${address.port}` });
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return { server, listen, close, mapAddress };
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  fixtureKey,
+  createFixtureRecorder,
+  saveManifest,
+  loadFixtures,
+  computeTimeShift,
+  createReplayServer,
+};
@@ -0,0 +1,114 @@
+const ethers = require('ethers');
+
+const STRATEGIES = ['multiplier', 'fixed', 'fee-history', 'aggressive'];
+const FEE_HISTORY_BLOCKS = 20;
+const FEE_HISTORY_PERCENTILE = 60;
+const AGGRESSIVE_PERCENTILE = 95;
+const AGGRESSIVE_PRIORITY_MULTIPLIER = 2;
+const AGGRESSIVE_ESCALATE_AFTER_BLOCKS = 2;
+const AGGRESSIVE_FEE_BUMP_PERCENT = 25;
+const AGGRESSIVE_MAX_ATTEMPTS = 6;
+
+const gwei = (value) => ethers.utils.parseUnits(String(value), 'gwei');
+
+function scale(value, multiplier) {
+  return ethers.BigNumber.from(value).mul(Math.round(multiplier * 100)).div(100);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function fetchFeeHistory(provider, percentile) {
+  const history = await provider.send('eth_feeHistory', [ethers.utils.hexValue(FEE_HISTORY_BLOCKS), 'latest', [percentile]]);
+  const nextBaseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  const rewards = (history.reward || [])
+    .map(reward => ethers.BigNumber.from(reward[0]))
+    .filter(reward => !reward.isZero());
+
+  let priorityFee;
+  if (rewards.length) {
+    priorityFee = median(rewards);
+  } else {
+    priorityFee = ethers.BigNumber.from(await provider.send('eth_maxPriorityFeePerGas', []));
+  }
+  return { nextBaseFee, priorityFee };
+}
+
+/**
+ * @typedef {Object} GasStrategy
+ * @property {string} name
+ * @property {BigNumber|null} maxFeePerGas Hard ceiling, null when unlimited
+ * @property {number|null} escalateAfterBlocks Replace a pending transaction after this many blocks
+ * @property {number|null} feeBumpPercent
+ * @property {number|null} maxAttempts
+ * @property {function(provider): Promise<{maxFeePerGas: BigNumber, maxPriorityFeePerGas: BigNumber, capped: boolean}>} fees
+ */
+
+/** @returns {GasStrategy} */
+function createGasStrategy({ gas = 'multiplier', multiplier = 2.5, gasPrice, priorityFee, maxFee, escalateBlocks } = {}) {
+  if (!STRATEGIES.includes(gas)) {
+    throw new Error(`Unknown gas strategy: ${gas} (expected ${STRATEGIES.join(', ')})`);
+  }
+  if (gas === 'fixed' && !gasPrice) {
+    throw new Error('The fixed gas strategy needs a gas price in gwei');
+  }
+
+  const ceiling = maxFee ? gwei(maxFee) : null;
+
+  async function estimate(provider) {
+    switch (gas) {
+      case 'fixed': {
+        const maxFeePerGas = gwei(gasPrice);
+        return { maxFeePerGas, maxPriorityFeePerGas: priorityFee ? gwei(priorityFee) : maxFeePerGas };
+      }
+      case 'fee-history': {
+        const history = await fetchFeeHistory(provider, FEE_HISTORY_PERCENTILE);
+        return { maxFeePerGas: history.nextBaseFee.mul(2).add(history.priorityFee), maxPriorityFeePerGas: history.priorityFee };
+      }
+      case 'aggressive': {
+        const history = await fetchFeeHistory(provider, AGGRESSIVE_PERCENTILE);
+        const tip = history.priorityFee.mul(AGGRESSIVE_PRIORITY_MULTIPLIER);
+        return { maxFeePerGas: history.nextBaseFee.mul(2).add(tip), maxPriorityFeePerGas: tip };
+      }
+      default: {
+        const feeData = await provider.getFeeData();
+        // Nodes without EIP-1559 fee data only report a gas price, which then
+        // serves as both fees like a fixed price does
+        if (!feeData.maxFeePerGas) {
+          if (!feeData.gasPrice) throw new Error('The RPC node reported neither EIP-1559 fees nor a gas price');
+          const maxFeePerGas = scale(feeData.gasPrice, multiplier);
+          return { maxFeePerGas, maxPriorityFeePerGas: maxFeePerGas };
+        }
+        return {
+          maxFeePerGas: scale(feeData.maxFeePerGas, multiplier),
+          maxPriorityFeePerGas: scale(feeData.maxPriorityFeePerGas, multiplier),
+        };
+      }
+    }
+  }
+
+  async function fees(provider) {
+    let { maxFeePerGas, maxPriorityFeePerGas } = await estimate(provider);
+    const capped = Boolean(ceiling && maxFeePerGas.gt(ceiling));
+    if (capped) maxFeePerGas = ceiling;
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) maxPriorityFeePerGas = maxFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas, capped };
+  }
+
+  const aggressive = gas === 'aggressive';
+  return {
+    name: gas,
+    maxFeePerGas: ceiling,
+    escalateAfterBlocks: escalateBlocks || (aggressive ? AGGRESSIVE_ESCALATE_AFTER_BLOCKS : null),
+    feeBumpPercent: aggressive ? AGGRESSIVE_FEE_BUMP_PERCENT : null,
+    maxAttempts: aggressive ? AGGRESSIVE_MAX_ATTEMPTS : null,
+    fees,
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  createGasStrategy,
+};
@@ -0,0 +1,56 @@
+// Library entry point. Requiring it has no side effects: nothing is read from
+// .env, nothing is printed, and no process is started or ended.
+const links = require('./links.js');
+const fetchers = require('./fetchers.js');
+const stages = require('./stages.js');
+const transactions = require('./transactions.js');
+const broadcaster = require('./broadcaster.js');
+const engine = require('./engine.js');
+const chains = require('./chains.js');
+const wallets = require('./wallets.js');
+const receipts = require('./receipts.js');
+const gasStrategies = require('./gasStrategies.js');
+const spending = require('./spending.js');
+const ledger = require('./ledger.js');
+const { MagicEdenClient } = require('./magicEdenClient.js');
+const { createTransport, createHttpTransport, createPuppeteerTransport, createBackoffTransport } = require('./transports.js');
+const { RpcPoolProvider } = require('./rpcPool.js');
+const { encodeMintCall } = require('./mintAbi.js');
+const { createLogger } = require('./logger.js');
+const { describeJob, createControlServer } = require('./controlServer.js');
+const { loadWebhooks, parseEvents, createNotifier } = require('./webhooks.js');
+const { createFixtureRecorder, loadFixtures, createReplayServer } = require('./fixtures.js');
+const { deploySampleMint, startRehearsal } = require('./rehearsal.js');
+
+module.exports = {
+  ...links,
+  ...fetchers,
+  ...stages,
+  ...transactions,
+  ...broadcaster,
+  ...engine,
+  ...chains,
+  ...wallets,
+  ...receipts,
+  ...gasStrategies,
+  ...spending,
+  ...ledger,
+  MagicEdenClient,
+  createTransport,
+  createHttpTransport,
+  createPuppeteerTransport,
+  createBackoffTransport,
+  RpcPoolProvider,
+  encodeMintCall,
+  createLogger,
+  describeJob,
+  createControlServer,
+  loadWebhooks,
+  parseEvents,
+  createNotifier,
+  createFixtureRecorder,
+  loadFixtures,
+  createReplayServer,
+  deploySampleMint,
+  startRehearsal,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FINAL_STATUSES = ['done', 'failed', 'skipped', 'interrupted', 'cancelled'];
+
+function jobKey(job) {
+  const tokens = job.tokenIds && job.tokenIds.length ? `#${job.tokenIds.join(',')}` : '';
+  return `${job.link}#${job.stage || 'auto'}${tokens}`;
+}
+
+// Short stable ID for addressing a job in URLs, where the key itself does not fit
+function jobId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function readState(filePath) {
+  if (!fs.existsSync(filePath)) return { jobs: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { jobs: {}, ...state };
+  } catch (error) {
+    throw new Error(`Invalid job state file ${filePath}: ${error.message}`);
+  }
+}
+
+// Jobs move pending -> preparing -> minting -> done/failed, or pending -> skipped
+// or cancelled. A job found in "minting" after a restart may already have
+// broadcast, so it is never retried; one found in "preparing" had not, and is
+// pending again. Without a file path the store only keeps state in memory (used
+// for dry runs).
+function createJobStore(filePath) {
+  const state = filePath ? readState(filePath) : { jobs: {} };
+
+  function save() {
+    if (!filePath) return;
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify(state, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function update(key, changes) {
+    state.jobs[key] = { ...state.jobs[key], ...changes, updatedAt: new Date().toISOString() };
+    save();
+    return state.jobs[key];
+  }
+
+  function sync(jobs) {
+    const interrupted = [];
+
+    for (const job of jobs) {
+      const key = jobKey(job);
+      const record = state.jobs[key];
+
+      if (!record) {
+        state.jobs[key] = { link: job.link, stage: job.stage, tokenIds: job.tokenIds, count: job.count, wallets: job.wallets, maxPrice: job.maxPrice, status: 'pending', createdAt: new Date().toISOString() };
+      } else if (record.status === 'minting') {
+        state.jobs[key] = { ...record, status: 'interrupted', reason: 'process stopped while broadcasting' };
+        interrupted.push(key);
+      } else if (record.status === 'preparing') {
+        state.jobs[key] = { ...record, status: 'pending' };
+      }
+    }
+
+    save();
+    return { interrupted };
+  }
+
+  function get(key) {
+    return state.jobs[key];
+  }
+
+  function isFinal(key) {
+    return FINAL_STATUSES.includes((state.jobs[key] || {}).status);
+  }
+
+  function list() {
+    return Object.entries(state.jobs).map(([key, record]) => ({ key, ...record }));
+  }
+
+  return { filePath, sync, update, get, list, isFinal };
+}
+
+module.exports = {
+  jobKey,
+  jobId,
+  createJobStore,
+};
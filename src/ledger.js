@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const CSV_COLUMNS = ['scope', 'chain', 'collection', 'collectionName', 'wallet', 'attempts', 'succeeded', 'failed', 'successRate', 'fees', 'value', 'spent', 'symbol', 'tokens', 'tokenIds'];
+
+/**
+ * @typedef {Object} LedgerRecord
+ * @property {string} timestamp ISO time the result was recorded
+ * @property {string} chain
+ * @property {string} collectionId
+ * @property {string} collectionName
+ * @property {number|null} stage 1-based stage number
+ * @property {string|null} stageKind
+ * @property {string} wallet
+ * @property {number} nonce
+ * @property {string|null} hash
+ * @property {string} status success, reverted or failed
+ * @property {string|null} reason
+ * @property {number} attempts
+ * @property {number|null} blockNumber
+ * @property {string} valueWei Mint price sent with the transaction
+ * @property {string} feeWei Gas paid, zero when nothing was mined
+ * @property {Array<string>} tokenIds
+ */
+
+/** @returns {LedgerRecord} */
+function createLedgerRecord({ chain, target, stage, wallet, tx, result }) {
+  const feeWei = result.gasUsed && result.effectiveGasPrice
+    ? ethers.BigNumber.from(result.gasUsed).mul(result.effectiveGasPrice)
+    : ethers.constants.Zero;
+
+  return {
+    timestamp: new Date().toISOString(),
+    chain,
+    collectionId: target.collectionId,
+    collectionName: target.collectionName,
+    stage: stage ? stage.index + 1 : null,
+    stageKind: stage ? stage.kind : null,
+    wallet,
+    nonce: result.nonce,
+    hash: result.hash,
+    status: result.status,
+    reason: result.reason || null,
+    attempts: result.attempts,
+    blockNumber: result.blockNumber || null,
+    valueWei: ethers.BigNumber.from(tx.value || 0).toString(),
+    feeWei: feeWei.toString(),
+    tokenIds: result.tokenIds,
+  };
+}
+
+function appendLedgerRecord(filePath, record) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+}
+
+/** @returns {Array<LedgerRecord>} */
+function readLedger(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid ledger line ${index + 1} in ${filePath}: ${error.message}`);
+      }
+    });
+}
+
+function emptyTotals(scope, fields) {
+  return {
+    scope,
+    ...fields,
+    attempts: 0,
+    succeeded: 0,
+    failed: 0,
+    feeWei: ethers.constants.Zero,
+    valueWei: ethers.constants.Zero,
+    tokenIds: [],
+  };
+}
+
+function addRecord(totals, record) {
+  totals.attempts += 1;
+  totals.feeWei = totals.feeWei.add(record.feeWei);
+  if (record.status === 'success') {
+    totals.succeeded += 1;
+    totals.valueWei = totals.valueWei.add(record.valueWei);
+    totals.tokenIds.push(...record.tokenIds);
+  } else {
+    totals.failed += 1;
+  }
+}
+
+// Reverted transactions pay gas but get their value refunded, so only successful
+// mints count toward value spent.
+function summarizeLedger(records) {
+  const collections = new Map();
+  const wallets = new Map();
+
+  for (const record of records) {
+    const collectionKey = `${record.chain}:${record.collectionId.toLowerCase()}`;
+    if (!collections.has(collectionKey)) {
+      collections.set(collectionKey, emptyTotals('collection', {
+        chain: record.chain,
+        collection: record.collectionId,
+        collectionName: record.collectionName,
+        wallet: '',
+      }));
+    }
+    addRecord(collections.get(collectionKey), record);
+
+    const walletKey = `${record.chain}:${record.wallet.toLowerCase()}`;
+    if (!wallets.has(walletKey)) {
+      wallets.set(walletKey, emptyTotals('wallet', { chain: record.chain, collection: '', collectionName: '', wallet: record.wallet }));
+    }
+    addRecord(wallets.get(walletKey), record);
+  }
+
+  const finish = totals => ({
+    ...totals,
+    spentWei: totals.feeWei.add(totals.valueWei),
+    successRate: totals.attempts ? totals.succeeded / totals.attempts : 0,
+  });
+  return {
+    collections: [...collections.values()].map(finish),
+    wallets: [...wallets.values()].map(finish),
+  };
+}
+
+function csvValue(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function summaryToCsv({ collections, wallets }, symbolFor = () => '') {
+  const rows = [...collections, ...wallets].map(totals => ({
+    scope: totals.scope,
+    chain: totals.chain,
+    collection: totals.collection,
+    collectionName: totals.collectionName,
+    wallet: totals.wallet,
+    attempts: totals.attempts,
+    succeeded: totals.succeeded,
+    failed: totals.failed,
+    successRate: totals.successRate.toFixed(4),
+    fees: ethers.utils.formatEther(totals.feeWei),
+    value: ethers.utils.formatEther(totals.valueWei),
+    spent: ethers.utils.formatEther(totals.spentWei),
+    symbol: symbolFor(totals.chain),
+    tokens: totals.tokenIds.length,
+    tokenIds: totals.tokenIds.join(' '),
+  }));
+
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(values => values.map(csvValue).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  createLedgerRecord,
+  appendLedgerRecord,
+  readLedger,
+  summarizeLedger,
+  summaryToCsv,
+};
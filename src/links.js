@@ -0,0 +1,137 @@
+const CONFIG = require('../utils/config.js');
+const { isKnownChain } = require('./chains.js');
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const TOKEN_ID_PARAMS = ['tokenId', 'tokenIds', 'token_id', 'token'];
+
+/**
+ * @typedef {Object} CollectionLink
+ * @property {string} linkType mint-terminal or launchpad, which decides how the collection is fetched
+ * @property {string} source Form the link was given in: mint-terminal, launchpad, collection, item or address
+ * @property {string} chain Chain slug
+ * @property {string} [contract] Collection contract, for everything but launchpad links
+ * @property {string} [slug] Launchpad slug, for launchpad links
+ * @property {Array<string>|null} tokenIds ERC1155 token IDs named in the link, null when none are
+ */
+
+function parseTokenIds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ids = (Array.isArray(value) ? value : String(value).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  ids.forEach((id) => {
+    if (!/^\d+$/.test(id)) throw new Error(`Invalid token ID: ${id}`);
+  });
+  return ids.length ? [...new Set(ids)] : null;
+}
+
+function parseContract(value, form) {
+  if (!value || !ADDRESS_PATTERN.test(value)) {
+    throw new Error(`Invalid Magic Eden ${form} link: expected a contract address, got ${value || 'nothing'}`);
+  }
+  return value;
+}
+
+function toUrl(input) {
+  const withScheme = /^[a-z]+:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    return new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid link: ${input}`);
+  }
+}
+
+function detectLinkType(collectionLink) {
+  const input = collectionLink.trim();
+  if (/^(?:[a-z0-9-]+:)?0x[a-fA-F0-9]{40}$/i.test(input)) return 'address';
+  if (input.includes('/mint-terminal/')) return 'mint-terminal';
+  if (input.includes('/launchpad/')) return 'launchpad';
+  if (input.includes('/collections/')) return 'collection';
+  if (input.includes('/item-details/')) return 'item';
+  throw new Error('Invalid link: expected a mint-terminal, launchpad, collection or item link, or a contract address');
+}
+
+// `/mint-terminal/<chain>/<contract>[/<tokenId>]`
+function parseMintTerminalLink(collectionLink) {
+  const segments = pathSegments(collectionLink, 'mint-terminal');
+  if (!segments[0]) throw new Error('Invalid Magic Eden mint-terminal link');
+  return {
+    chain: segments[0].toLowerCase(),
+    contract: parseContract(segments[1], 'mint-terminal'),
+    tokenIds: segments[2] && /^\d+$/.test(segments[2]) ? [segments[2]] : null,
+  };
+}
+
+// `/launchpad/[<chain>/]<slug>`; the chain segment is only recognized for known chains
+function parseLaunchpadLink(collectionLink) {
+  const segments = pathSegments(collectionLink, 'launchpad');
+  const hasChain = segments.length > 1 && isKnownChain(segments[0].toLowerCase());
+  const slug = hasChain ? segments[1] : segments[0];
+  if (!slug) throw new Error('Invalid Magic Eden launchpad link');
+  return { chain: hasChain ? segments[0].toLowerCase() : CONFIG.DEFAULT_CHAIN, slug, tokenIds: null };
+}
+
+// `/collections/<chain>/<contract>` and `/item-details/<chain>/<contract>/<tokenId>`
+function parseContractPageLink(collectionLink, form) {
+  const marker = form === 'item' ? 'item-details' : 'collections';
+  const segments = pathSegments(collectionLink, marker);
+  if (!segments[0]) throw new Error(`Invalid Magic Eden ${form} link`);
+  return {
+    chain: segments[0].toLowerCase(),
+    contract: parseContract(segments[1], form),
+    tokenIds: form === 'item' && segments[2] && /^\d+$/.test(segments[2]) ? [segments[2]] : null,
+  };
+}
+
+// A bare address mints on the default chain; prefix it with a chain slug (`base:0x...`) for another one
+function parseAddressLink(collectionLink) {
+  const [chain, contract] = collectionLink.includes(':') ? collectionLink.split(':') : [CONFIG.DEFAULT_CHAIN, collectionLink];
+  return { chain: chain.toLowerCase(), contract: parseContract(contract, 'address'), tokenIds: null };
+}
+
+function pathSegments(collectionLink, marker) {
+  const segments = toUrl(collectionLink).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  return segments.slice(segments.indexOf(marker) + 1);
+}
+
+function queryTokenIds(collectionLink) {
+  if (!collectionLink.includes('?')) return null;
+  const params = toUrl(collectionLink).searchParams;
+  const values = TOKEN_ID_PARAMS.flatMap(name => params.getAll(name));
+  return values.length ? parseTokenIds(values.join(',')) : null;
+}
+
+/**
+ * Accepts mint-terminal, launchpad, collection and item links, with or without a
+ * scheme, query string or trailing path, and bare contract addresses. Token IDs
+ * come from item links, a trailing mint-terminal segment or a `tokenId` query.
+ * @returns {CollectionLink}
+ */
+function parseCollectionLink(collectionLink) {
+  const input = collectionLink.trim();
+  const source = detectLinkType(input);
+  let parsed;
+  switch (source) {
+    case 'address':
+      return { linkType: 'mint-terminal', source, ...parseAddressLink(input) };
+    case 'mint-terminal':
+      parsed = parseMintTerminalLink(input);
+      break;
+    case 'launchpad':
+      parsed = parseLaunchpadLink(input);
+      break;
+    default:
+      parsed = parseContractPageLink(input, source);
+  }
+
+  const tokenIds = queryTokenIds(input) || parsed.tokenIds;
+  return { linkType: source === 'launchpad' ? 'launchpad' : 'mint-terminal', source, ...parsed, tokenIds };
+}
+
+module.exports = {
+  parseTokenIds,
+  detectLinkType,
+  parseMintTerminalLink,
+  parseLaunchpadLink,
+  parseCollectionLink,
+};
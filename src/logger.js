@@ -0,0 +1,54 @@
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const FORMATS = ['text', 'json'];
+
+/**
+ * @typedef {Object} Logger
+ * @property {string} level
+ * @property {string} format
+ * @property {function(string, Object=)} debug
+ * @property {function(string, Object=)} info
+ * @property {function(string, Object=)} warn
+ * @property {function(string, Object=)} error
+ */
+
+// Text lines keep the familiar arrow after the timestamp and level; JSON mode
+// writes one object per line so output can go straight to a log collector.
+// Warnings and errors go to stderr in both formats.
+/** @returns {Logger} */
+function createLogger({ level = 'info', format = 'text', timestamps = true, stdout = process.stdout, stderr = process.stderr } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level} (expected ${LEVELS.join(', ')})`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  const threshold = LEVELS.indexOf(level);
+
+  function write(entryLevel, message, fields = {}) {
+    if (LEVELS.indexOf(entryLevel) < threshold) return;
+    const time = new Date().toISOString();
+    const stream = entryLevel === 'warn' || entryLevel === 'error' ? stderr : stdout;
+
+    if (format === 'json') {
+      stream.write(`${JSON.stringify({ time, level: entryLevel, msg: message, ...fields })}\n`);
+      return;
+    }
+    const prefix = timestamps ? `${time} ${entryLevel.toUpperCase().padEnd(5)} ` : '';
+    stream.write(`${prefix}➤ ${message}\n`);
+  }
+
+  return {
+    level,
+    format,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  createLogger,
+};
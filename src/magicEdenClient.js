@@ -0,0 +1,261 @@
+const CONFIG = require('../utils/config.js');
+const { createTransport } = require('./transports.js');
+const { normalizeStages } = require('./stages.js');
+
+/**
+ * @typedef {Object} MintStage
+ * @property {string} id
+ * @property {string} kind public or allowlist
+ * @property {number} index
+ * @property {number} startTime Unix seconds
+ * @property {number|null} endTime Unix seconds, null when the stage has no end
+ * @property {BigNumber} priceWei
+ * @property {number|null} maxPerWallet
+ * @property {number|null} maxSupply
+ * @property {string|null} tokenId ERC1155 token the stage mints, when the API says
+ */
+
+/**
+ * @typedef {Object} MintCollection
+ * @property {string} collectionId Contract address
+ * @property {string} collectionName
+ * @property {Array<Object>} mintStages Raw stages as returned by the API
+ * @property {boolean} isMinting
+ * @property {string} protocol erc721, erc1155 or unknown
+ * @property {string} tokenId
+ */
+
+/**
+ * @typedef {Object} Eligibility
+ * @property {boolean} eligible
+ * @property {Array<string>} stageIds
+ */
+
+/**
+ * @typedef {Object} AllowlistProof
+ * @property {string} stageId
+ * @property {Array<string>} proof Merkle proof as bytes32 hex strings
+ */
+
+// Collection, token and launchpad responses are cached for `cacheTtlMs`, and
+// identical requests in flight share one response. Pass `{ fresh: true }` to skip
+// the cache. Eligibility and proof requests name a wallet and go through that
+// wallet's transport when `walletTransports` has one.
+//
+// Allowlist proofs are experimental and off unless `allowlistProofPath` is set:
+// no Magic Eden docs, network capture or recorded fixture confirms a proof
+// endpoint or its { proof } (or { merkleProof }) response. The one the README
+// suggests is modelled on check_allowlist_eligibility.
+class MagicEdenClient {
+  constructor({
+    baseUrl = CONFIG.ME_API_BASE_URL,
+    transport = createTransport(CONFIG.ME_TRANSPORT),
+    chain = CONFIG.DEFAULT_CHAIN,
+    walletTransports = new Map(),
+    cacheTtlMs = CONFIG.ME_CACHE_TTL_MS,
+    cache = new Map(),
+    allowlistProofPath = null,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.transport = transport;
+    this.chain = chain;
+    this.walletTransports = new Map([...walletTransports].map(([address, walletTransport]) => [address.toLowerCase(), walletTransport]));
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = cache;
+    this.allowlistProofPath = allowlistProofPath;
+  }
+
+  /** Returns a client for another chain that shares this client's transports and cache. */
+  forChain(chain) {
+    if (chain === this.chain) return this;
+    return new MagicEdenClient({
+      baseUrl: this.baseUrl,
+      transport: this.transport,
+      chain,
+      walletTransports: this.walletTransports,
+      cacheTtlMs: this.cacheTtlMs,
+      cache: this.cache,
+      allowlistProofPath: this.allowlistProofPath
+    });
+  }
+
+  url(pathname) {
+    return `${this.baseUrl}${pathname}`;
+  }
+
+  async request(options, { wallet = null } = {}) {
+    const transport = (wallet && this.walletTransports.get(wallet.toLowerCase())) || this.transport;
+    const { data } = await transport.request(options);
+    return data;
+  }
+
+  cachedRequest(options, { fresh = false } = {}) {
+    if (!this.cacheTtlMs) return this.request(options);
+    const now = Date.now();
+    const key = `${options.method || 'GET'} ${options.url} ${options.body === undefined ? '' : JSON.stringify(options.body)}`;
+    const entry = this.cache.get(key);
+    if (!fresh && entry && entry.expiresAt > now) return entry.data;
+
+    this.cache.forEach((cached, cachedKey) => {
+      if (cached.expiresAt <= now) this.cache.delete(cachedKey);
+    });
+    const data = this.request(options);
+    this.cache.set(key, { data, expiresAt: now + this.cacheTtlMs });
+    data.catch(() => {
+      if (this.cache.has(key) && this.cache.get(key).data === data) this.cache.delete(key);
+    });
+    return data;
+  }
+
+  async fetchTokens(query, { fresh = false } = {}) {
+    const jsonBody = await this.cachedRequest({
+      url: this.url(`/v3/rtp/${this.chain}/tokens/v7?${query}`)
+    }, { fresh });
+
+    if (!jsonBody || !Array.isArray(jsonBody.tokens)) {
+      throw new Error('Invalid API response or no tokens found');
+    }
+
+    return jsonBody.tokens.map(token => ({
+      collectionId: token.token.collection.id,
+      collectionName: token.token.collection.name || 'Unnamed Collection',
+      mintStages: token.token.mintStages || [],
+      isMinting: token.token.isMinting !== undefined ? token.token.isMinting : true,
+      protocol: token.token.kind || 'unknown',
+      tokenId: token.token.tokenId || '0'
+    }));
+  }
+
+  /** @returns {Promise<Array<MintCollection>>} */
+  async getTokens(contract, tokenId = '0', { fresh = false } = {}) {
+    return this.fetchTokens(`tokens[]=${contract}:${tokenId}&limit=1`, { fresh });
+  }
+
+  /**
+   * Every token of a collection, one entry per token ID with its own mint stages.
+   * @returns {Promise<Array<MintCollection>>}
+   */
+  async getCollectionTokens(contract, { limit = 100 } = {}) {
+    return this.fetchTokens(`collection=${contract}&limit=${limit}`);
+  }
+
+  async fetchCollectionsV4(collectionIds, { fresh = false } = {}) {
+    const jsonBody = await this.cachedRequest({
+      method: 'POST',
+      url: this.url('/v4/collections'),
+      body: {
+        chain: this.chain,
+        collectionIds,
+        includeMintConfig: true
+      }
+    }, { fresh });
+
+    if (!jsonBody || !Array.isArray(jsonBody.collections)) {
+      throw new Error('Invalid API response or no collections found in v4');
+    }
+    return jsonBody.collections;
+  }
+
+  /** @returns {Promise<Array<MintCollection>>} */
+  async getCollections(collectionIds) {
+    const collections = await this.fetchCollectionsV4(collectionIds);
+
+    return collections.map(collection => ({
+      collectionId: collection.id,
+      collectionName: collection.name || 'Unnamed Collection',
+      mintStages: collection.chainData?.mintConfig?.stages || [],
+      isMinting: true,
+      protocol: collection.collectionType?.toLowerCase() || 'erc721',
+      tokenId: '0'
+    }));
+  }
+
+  /** @returns {Promise<Array<MintStage>>} */
+  async getStages(collectionId, { fresh = false } = {}) {
+    const collections = await this.fetchCollectionsV4([collectionId], { fresh });
+    if (!collections.length) {
+      throw new Error('No collection data');
+    }
+
+    const mintConfig = collections[0]?.chainData?.mintConfig;
+    if (!mintConfig || !mintConfig.stages || !mintConfig.stages.length) {
+      throw new Error('No mint stages found in response');
+    }
+
+    return normalizeStages(mintConfig.stages);
+  }
+
+  /** @returns {Promise<{ collections: Array<MintCollection>, stages: Array<MintStage> }>} */
+  async getLaunchpad(slug, { fresh = false } = {}) {
+    const jsonBody = await this.cachedRequest({
+      url: this.url(`/launchpads/${encodeURIComponent(slug)}?edge_cache=true`)
+    }, { fresh });
+
+    if (!jsonBody || !jsonBody.evm || !jsonBody.evm.contractAddress || !jsonBody.evm.stages) {
+      throw new Error('Missing required launchpad data (evm, contractAddress, or stages)');
+    }
+
+    const stages = normalizeStages(jsonBody.evm.stages);
+    const firstTokenId = stages.map(stage => stage.tokenId).find(tokenId => tokenId !== null);
+    const collection = {
+      collectionId: jsonBody.evm.contractAddress,
+      collectionName: jsonBody.name || 'Unnamed Launchpad',
+      isMinting: jsonBody.evm.status === 'live' || jsonBody.evm.status === 'upcoming',
+      protocol: jsonBody.contractType?.toLowerCase() === 'erc1155' ? 'erc1155' : 'erc721',
+      tokenId: firstTokenId || '0'
+    };
+
+    return { collections: [collection], stages };
+  }
+
+  /** @returns {Promise<Eligibility>} */
+  async checkEligibility(collectionId, address) {
+    const jsonBody = await this.request({
+      method: 'POST',
+      url: this.url('/v4/self_serve/nft/check_allowlist_eligibility'),
+      body: {
+        collectionId,
+        wallet: {
+          chain: this.chain,
+          address
+        }
+      }
+    }, { wallet: address });
+
+    const stageIds = ((jsonBody && jsonBody.stageIds) || []).map(String);
+    return { eligible: stageIds.length > 0, stageIds };
+  }
+
+  /** @returns {Promise<AllowlistProof>} */
+  async getAllowlistProof(collectionId, stageId, address) {
+    if (!this.allowlistProofPath) throw new Error('Allowlist proofs are off, set ME_ALLOWLIST_PROOF_PATH to fetch them');
+    const jsonBody = await this.request({
+      method: 'POST',
+      url: this.url(this.allowlistProofPath),
+      body: {
+        collectionId,
+        stageId,
+        wallet: {
+          chain: this.chain,
+          address
+        }
+      }
+    }, { wallet: address });
+
+    const proof = jsonBody && (jsonBody.proof || jsonBody.merkleProof);
+    // A tree with a single leaf has an empty proof
+    if (!Array.isArray(proof)) {
+      throw new Error(`No allowlist proof returned for stage ${stageId}`);
+    }
+    return { stageId: String(stageId), proof };
+  }
+
+  async close() {
+    const transports = new Set([this.transport, ...this.walletTransports.values()]);
+    await Promise.all([...transports].map(transport => transport.close()));
+  }
+}
+
+module.exports = {
+  MagicEdenClient,
+};
@@ -0,0 +1,36 @@
+const ethers = require('ethers');
+
+const ERC721_MINT_ABI = [
+  'function mintPublic(address to, uint256 qty) payable',
+  'function mintAllowlist(address to, uint256 qty, bytes32[] proof) payable',
+];
+
+const ERC1155_MINT_ABI = [
+  'function mintPublic(address to, uint256 tokenId, uint256 qty, bytes data) payable',
+  'function mintAllowlist(address to, uint256 tokenId, uint256 qty, bytes32[] proof) payable',
+];
+
+const erc721MintInterface = new ethers.utils.Interface(ERC721_MINT_ABI);
+const erc1155MintInterface = new ethers.utils.Interface(ERC1155_MINT_ABI);
+
+function encodeMintCall({ protocol, recipient, tokenId = '0', quantity = 1, proof = null }) {
+  if (protocol === 'erc1155') {
+    return proof
+      ? erc1155MintInterface.encodeFunctionData('mintAllowlist', [recipient, tokenId, quantity, proof])
+      : erc1155MintInterface.encodeFunctionData('mintPublic', [recipient, tokenId, quantity, '0x']);
+  }
+  if (protocol === 'erc721') {
+    return proof
+      ? erc721MintInterface.encodeFunctionData('mintAllowlist', [recipient, quantity, proof])
+      : erc721MintInterface.encodeFunctionData('mintPublic', [recipient, quantity]);
+  }
+  throw new Error(`Unsupported protocol: ${protocol}`);
+}
+
+module.exports = {
+  ERC721_MINT_ABI,
+  ERC1155_MINT_ABI,
+  erc721MintInterface,
+  erc1155MintInterface,
+  encodeMintCall,
+};
@@ -0,0 +1,73 @@
+const ethers = require('ethers');
+
+const ERC721_STATE_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function maxSupply() view returns (uint256)',
+  'function numberMinted(address owner) view returns (uint256)',
+  'function totalMintedByUser(address user) view returns (uint256)',
+];
+
+const ERC1155_STATE_ABI = [
+  'function totalSupply(uint256 id) view returns (uint256)',
+  'function maxSupply(uint256 id) view returns (uint256)',
+  'function totalMintedByUser(address user, uint256 id) view returns (uint256)',
+];
+
+async function tryRead(contract, method, args) {
+  try {
+    return await contract[method](...args);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function firstRead(contract, methods, args) {
+  for (const method of methods) {
+    const value = await tryRead(contract, method, args);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+// ethers refuses MAX_SAFE_INTEGER itself as a number, so the bound is built from a string
+const MAX_SAFE_INTEGER = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+
+function toNumber(value) {
+  if (value === null) return null;
+  return value.gt(MAX_SAFE_INTEGER) ? null : value.toNumber();
+}
+
+async function readSupply(provider, { collectionId, protocol, tokenId = '0' }) {
+  if (protocol === 'erc1155') {
+    const contract = new ethers.Contract(collectionId, ERC1155_STATE_ABI, provider);
+    return {
+      totalSupply: toNumber(await tryRead(contract, 'totalSupply', [tokenId])),
+      maxSupply: toNumber(await tryRead(contract, 'maxSupply', [tokenId])),
+    };
+  }
+
+  const contract = new ethers.Contract(collectionId, ERC721_STATE_ABI, provider);
+  return {
+    totalSupply: toNumber(await tryRead(contract, 'totalSupply', [])),
+    maxSupply: toNumber(await tryRead(contract, 'maxSupply', [])),
+  };
+}
+
+// Null when the contract has no minted-count getter. Balances are no stand-in:
+// transferred and bought tokens count in them, and sent-away mints do not.
+async function readWalletMinted(provider, { collectionId, protocol, tokenId = '0' }, address) {
+  if (protocol === 'erc1155') {
+    const contract = new ethers.Contract(collectionId, ERC1155_STATE_ABI, provider);
+    return toNumber(await firstRead(contract, ['totalMintedByUser'], [address, tokenId]));
+  }
+
+  const contract = new ethers.Contract(collectionId, ERC721_STATE_ABI, provider);
+  return toNumber(await firstRead(contract, ['numberMinted', 'totalMintedByUser'], [address]));
+}
+
+module.exports = {
+  ERC721_STATE_ABI,
+  ERC1155_STATE_ABI,
+  readSupply,
+  readWalletMinted,
+};
@@ -0,0 +1,367 @@
+const ethers = require('ethers');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = ethers.utils.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+const CUSTOM_ERRORS = [
+  'NotStarted()', 'StageNotActive()', 'SaleNotActive()', 'MintNotEnabled()', 'PublicMintNotActive()',
+  'InvalidStage()', 'StageEnded()', 'MintEnded()',
+  'NoSupplyLeft()', 'MaxSupplyExceeded()', 'ExceedsMaxSupply()', 'SoldOut()', 'CannotExceedMaxSupply()',
+  'WalletLimitExceeded()', 'WalletStageLimitExceeded()', 'WalletGlobalLimitExceeded()', 'ExceedsWalletLimit()',
+  'NotEnoughValue()', 'InsufficientPayment()', 'IncorrectPayment()',
+  'InvalidProof()', 'NotAllowlisted()', 'InvalidSignature()',
+];
+
+const CUSTOM_ERROR_NAMES = Object.fromEntries(
+  CUSTOM_ERRORS.map(signature => [ethers.utils.id(signature).slice(0, 10), signature.replace('()', '')])
+);
+
+// Node and transport errors are told apart from reverts first: their messages
+// ("connection closed", an HTTP 429) would otherwise read as revert reasons
+const TRANSPORT_PATTERNS = [
+  { reason: 'insufficient-funds', retryable: false, pattern: /insufficient funds/i },
+  { reason: 'nonce-gap', retryable: true, pattern: /nonce too high|nonce gap|gapped nonce/i },
+  { reason: 'nonce-used', retryable: false, pattern: /nonce too low|nonce has already been used|already known|known transaction/i },
+  { reason: 'underpriced', retryable: true, pattern: /underpriced|fee too low|fee cap less than|tip too low|max fee per gas less than/i },
+  { reason: 'not-included', retryable: true, pattern: /not included/i },
+  { reason: 'timeout', retryable: true, pattern: /timeout|timed out/i },
+  { reason: 'network', retryable: true, pattern: /network|server error|bad response|missing response|ECONNRESET|ECONNREFUSED|ECONNABORTED|ETIMEDOUT|EPIPE|EAI_AGAIN|socket hang up|(connection|socket) closed|(status|HTTP)[ =:]*429\b|too many requests|rate limit/i },
+];
+
+// Matched against the revert reason only, never the whole error message
+const REVERT_PATTERNS = [
+  { reason: 'not-started', retryable: true, pattern: /not ?started|not ?active|not ?live|not ?enabled|not ?open|invalid ?stage/i },
+  { reason: 'stage-ended', retryable: false, pattern: /ended|closed|expired/i },
+  { reason: 'sold-out', retryable: false, pattern: /sold ?out|supply|minted out/i },
+  { reason: 'max-per-wallet', retryable: false, pattern: /wallet ?(stage ?|global ?)?limit|per ?wallet|max ?mint|exceeds ?wallet/i },
+  { reason: 'not-allowlisted', retryable: false, pattern: /proof|allowlist|whitelist|signature/i },
+  { reason: 'insufficient-funds', retryable: false, pattern: /not ?enough ?value|insufficient ?payment|incorrect ?payment/i },
+];
+
+// Nodes that return no revert data put the reason in the message instead
+const REVERT_MESSAGE_PATTERNS = [
+  /reverted with (?:reason string|custom error) '([^']*)'/i,
+  /execution reverted(?::\s*([^"|]*))?/i,
+  /VM Exception while processing transaction: revert(?:ed)?\s*([^"|]*)/i,
+];
+
+function collectErrorTexts(error, texts = [], depth = 0) {
+  if (!error || depth > 4) return texts;
+  if (typeof error === 'string') {
+    texts.push(error);
+    return texts;
+  }
+  ['reason', 'message', 'body'].forEach((key) => {
+    if (typeof error[key] === 'string') texts.push(error[key]);
+  });
+  collectErrorTexts(error.error, texts, depth + 1);
+  return texts;
+}
+
+function extractRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+  if (typeof error.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(error.data)) return error.data;
+  if (error.data && typeof error.data === 'object') {
+    const nested = extractRevertData(error.data, depth + 1);
+    if (nested) return nested;
+  }
+  if (typeof error.body === 'string') {
+    try {
+      const nested = extractRevertData(JSON.parse(error.body).error, depth + 1);
+      if (nested) return nested;
+    } catch (parseError) {
+      // not a JSON-RPC body
+    }
+  }
+  return extractRevertData(error.error, depth + 1);
+}
+
+function decodeRevertData(data) {
+  if (!data) return null;
+  const selector = data.slice(0, 10);
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0];
+      return `Panic(0x${code.toNumber().toString(16)})`;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return CUSTOM_ERROR_NAMES[selector] || `custom error ${selector}`;
+}
+
+function findCallExceptionReason(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+  if (error.code === 'CALL_EXCEPTION' && typeof error.reason === 'string') return error.reason;
+  return findCallExceptionReason(error.error, depth + 1);
+}
+
+// The revert reason, '' for a revert without one, or null when the error is not a revert
+function findRevertReason(error, texts) {
+  const decoded = decodeRevertData(extractRevertData(error));
+  if (decoded) return decoded;
+  const callReason = findCallExceptionReason(error);
+  if (callReason) return callReason;
+  for (const text of texts) {
+    for (const pattern of REVERT_MESSAGE_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) return (match[1] || '').trim();
+    }
+  }
+  return /revert|CALL_EXCEPTION|UNPREDICTABLE_GAS_LIMIT/i.test(texts.join(' | ')) ? '' : null;
+}
+
+function classifyFailure(error) {
+  const texts = collectErrorTexts(error);
+  const revertReason = findRevertReason(error, texts);
+  const message = revertReason || (error && error.reason) || texts[0] || 'Unknown error';
+
+  const haystack = texts.join(' | ');
+  for (const { reason, retryable, pattern } of TRANSPORT_PATTERNS) {
+    if (pattern.test(haystack)) return { reason, retryable, message };
+  }
+  if (revertReason === null) return { reason: 'unknown', retryable: false, message };
+
+  for (const { reason, retryable, pattern } of REVERT_PATTERNS) {
+    if (pattern.test(revertReason)) return { reason, retryable, message };
+  }
+  return { reason: 'reverted', retryable: false, message };
+}
+
+// Mints received by the recipient, as { contract, tokenId, amount } with amount 1 for ERC721
+function decodeMintedTokens(receipt, recipient) {
+  const tokens = [];
+  const to = recipient.toLowerCase();
+  const topicAddress = (topic) => ethers.utils.hexDataSlice(topic, 12).toLowerCase();
+
+  for (const entry of receipt.logs || []) {
+    const [topic] = entry.topics;
+    const contract = entry.address;
+
+    if (topic === TRANSFER_TOPIC && entry.topics.length === 4) {
+      if (topicAddress(entry.topics[1]) === ethers.constants.AddressZero && topicAddress(entry.topics[2]) === to) {
+        tokens.push({ contract, tokenId: ethers.BigNumber.from(entry.topics[3]).toString(), amount: '1' });
+      }
+    } else if (topic === TRANSFER_SINGLE_TOPIC) {
+      if (topicAddress(entry.topics[2]) === ethers.constants.AddressZero && topicAddress(entry.topics[3]) === to) {
+        const [id, value] = ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], entry.data);
+        tokens.push({ contract, tokenId: id.toString(), amount: value.toString() });
+      }
+    } else if (topic === TRANSFER_BATCH_TOPIC) {
+      if (topicAddress(entry.topics[2]) === ethers.constants.AddressZero && topicAddress(entry.topics[3]) === to) {
+        const [ids, values] = ethers.utils.defaultAbiCoder.decode(['uint256[]', 'uint256[]'], entry.data);
+        ids.forEach((id, i) => tokens.push({ contract, tokenId: id.toString(), amount: values[i].toString() }));
+      }
+    }
+  }
+
+  return tokens;
+}
+
+function decodeMintedTokenIds(receipt, recipient) {
+  return decodeMintedTokens(receipt, recipient).map(token => token.tokenId);
+}
+
+// Returns null when the ceiling leaves no room for a higher fee.
+function bumpFees(tx, percent, maxFeePerGas = null) {
+  const bump = (value) => {
+    const bumped = ethers.BigNumber.from(value).mul(100 + percent).div(100);
+    return maxFeePerGas && bumped.gt(maxFeePerGas) ? ethers.BigNumber.from(maxFeePerGas) : bumped;
+  };
+
+  if (tx.gasPrice) {
+    const gasPrice = bump(tx.gasPrice);
+    return gasPrice.gt(tx.gasPrice) ? { ...tx, gasPrice } : null;
+  }
+
+  const maxFee = bump(tx.maxFeePerGas);
+  if (!maxFee.gt(tx.maxFeePerGas)) return null;
+  const priorityFee = bump(tx.maxPriorityFeePerGas);
+  return {
+    ...tx,
+    maxFeePerGas: maxFee,
+    maxPriorityFeePerGas: priorityFee.gt(maxFee) ? maxFee : priorityFee,
+  };
+}
+
+// ethers v5 resolves eth_call with the revert payload, instead of throwing, when
+// the node sends one with its error (geth, anvil, Monad). Return data is whole
+// 32-byte words, a revert payload is a 4-byte selector on top of them.
+function classifyCallResult(data) {
+  if (typeof data !== 'string' || !/^0x[0-9a-fA-F]{8}/.test(data) || (data.length - 10) % 64 !== 0) return null;
+  return classifyFailure({ code: 'CALL_EXCEPTION', data: data.toLowerCase() });
+}
+
+async function explainRevert(provider, tx, receipt) {
+  try {
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, ...callTx } = tx;
+    const result = await provider.call({ ...callTx, from: receipt.from }, receipt.blockNumber);
+    const failure = classifyCallResult(result);
+    if (failure) return { ...failure, retryable: false };
+    return { reason: 'reverted', retryable: false, message: 'Transaction reverted' };
+  } catch (error) {
+    return { ...classifyFailure(error), retryable: false };
+  }
+}
+
+async function waitForAnyReceipt(provider, hashes, confirmations, timeoutMs) {
+  return Promise.any(hashes.map(hash => provider.waitForTransaction(hash, confirmations, timeoutMs)))
+    .catch((aggregate) => {
+      throw aggregate.errors[0];
+    });
+}
+
+async function waitForBlocks(provider, fromBlock, blocks, isDone, pollMs) {
+  while (!isDone()) {
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+    if (!isDone() && await provider.getBlockNumber() >= fromBlock + blocks) return true;
+  }
+  return false;
+}
+
+// Waits for a receipt, failing with a retryable "not included" error once the
+// given number of blocks pass without one so the caller can replace the tx.
+async function waitForInclusion(provider, hashes, { confirmations, timeoutMs, escalateAfterBlocks, pollMs }) {
+  if (!escalateAfterBlocks) return waitForAnyReceipt(provider, hashes, confirmations, timeoutMs);
+
+  let settled = false;
+  const fromBlock = await provider.getBlockNumber();
+  const receipt = waitForAnyReceipt(provider, hashes, confirmations, timeoutMs);
+  const stalled = waitForBlocks(provider, fromBlock, escalateAfterBlocks, () => settled, pollMs).then((passed) => {
+    if (passed) throw new Error(`Transaction not included within ${escalateAfterBlocks} blocks`);
+  });
+
+  try {
+    return await Promise.race([receipt, stalled.then(() => receipt)]);
+  } finally {
+    settled = true;
+    receipt.catch(() => {});
+  }
+}
+
+async function findMinedReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function sendWithRetry(wallet, tx, {
+  maxRetry = 3,
+  retryDelay = 100,
+  feeBumpPercent = 20,
+  confirmations = 1,
+  receiptTimeoutMs = 60000,
+  maxFeePerGas = null,
+  escalateAfterBlocks = null,
+  blockPollMs = 250,
+  signedTx = null,
+  onSent = () => {},
+  onRetry = () => {},
+} = {}) {
+  const provider = wallet.provider;
+  const hashes = [];
+  let currentTx = tx;
+  let lastFailure = null;
+
+  const settle = async (receipt, attempts) => {
+    const result = {
+      nonce: tx.nonce,
+      hash: receipt.transactionHash,
+      attempts,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.effectiveGasPrice || null,
+      blockNumber: receipt.blockNumber,
+      tokenIds: [],
+      tokens: [],
+    };
+    if (receipt.status === 1) {
+      const tokens = decodeMintedTokens(receipt, wallet.address);
+      return { ...result, status: 'success', tokenIds: tokens.map(token => token.tokenId), tokens };
+    }
+    const failure = await explainRevert(provider, currentTx, receipt);
+    return { ...result, status: 'reverted', reason: failure.reason, message: failure.message };
+  };
+
+  for (let attempt = 1; attempt <= maxRetry; attempt++) {
+    try {
+      const txResponse = attempt === 1 && signedTx
+        ? await provider.sendTransaction(signedTx)
+        : await wallet.sendTransaction(currentTx);
+      hashes.push(txResponse.hash);
+      onSent(txResponse, attempt);
+
+      const receipt = await waitForInclusion(provider, hashes, {
+        confirmations,
+        timeoutMs: receiptTimeoutMs,
+        escalateAfterBlocks,
+        pollMs: blockPollMs,
+      });
+      return settle(receipt, attempt);
+    } catch (error) {
+      lastFailure = classifyFailure(error);
+
+      if (lastFailure.reason === 'nonce-used' && hashes.length) {
+        const receipt = await findMinedReceipt(provider, hashes);
+        if (receipt) return settle(receipt, attempt);
+      }
+      if (!lastFailure.retryable || attempt === maxRetry) break;
+
+      const bumpedTx = bumpFees(currentTx, feeBumpPercent, maxFeePerGas);
+      if (!bumpedTx) {
+        lastFailure = { ...lastFailure, message: `${lastFailure.message}, fee ceiling reached` };
+        break;
+      }
+
+      onRetry(lastFailure, attempt);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      currentTx = bumpedTx;
+    }
+  }
+
+  // A transaction that was only slow, or could not be replaced, may still land
+  if (hashes.length && lastFailure && ['not-included', 'underpriced'].includes(lastFailure.reason)) {
+    const pendingReceipt = await waitForAnyReceipt(provider, hashes, confirmations, receiptTimeoutMs).catch(() => null);
+    if (pendingReceipt) return settle(pendingReceipt, hashes.length);
+  }
+
+  const receipt = hashes.length ? await findMinedReceipt(provider, hashes) : null;
+  if (receipt) return settle(receipt, maxRetry);
+
+  return {
+    nonce: tx.nonce,
+    hash: hashes[hashes.length - 1] || null,
+    attempts: hashes.length,
+    status: 'failed',
+    reason: lastFailure ? lastFailure.reason : 'unknown',
+    message: lastFailure ? lastFailure.message : 'Unknown error',
+    gasUsed: null,
+    effectiveGasPrice: null,
+    tokenIds: [],
+    tokens: [],
+  };
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  TRANSFER_SINGLE_TOPIC,
+  TRANSFER_BATCH_TOPIC,
+  classifyFailure,
+  classifyCallResult,
+  explainRevert,
+  decodeRevertData,
+  decodeMintedTokens,
+  decodeMintedTokenIds,
+  bumpFees,
+  sendWithRetry,
+};
@@ -0,0 +1,147 @@
+const ethers = require('ethers');
+const { MagicEdenClient } = require('./magicEdenClient.js');
+const { createHttpTransport } = require('./transports.js');
+const { fetchCollections, loadCollectionStages } = require('./fetchers.js');
+const { parseCollectionLink } = require('./links.js');
+const { getChain, rpcOverrideName } = require('./chains.js');
+const { loadFixtures, computeTimeShift, createReplayServer } = require('./fixtures.js');
+const { SAMPLE_MINT_ABI, SAMPLE_MINT_BYTECODE } = require('./sampleMint.js');
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_STARTS_IN_SECONDS = 60;
+const REHEARSAL_BALANCE = ethers.utils.parseEther('1000');
+// anvil, Hardhat and Ganache each name it differently
+const SET_BALANCE_METHODS = ['anvil_setBalance', 'hardhat_setBalance', 'evm_setAccountBalance'];
+
+async function setBalance(provider, address, wei) {
+  for (const method of SET_BALANCE_METHODS) {
+    try {
+      await provider.send(method, [address, ethers.utils.hexValue(wei)]);
+      return;
+    } catch (error) {
+      // not this node's method
+    }
+  }
+  throw new Error('The local node cannot set balances, use anvil, a Hardhat node or Ganache');
+}
+
+function toContractStages(stages) {
+  return stages.map(stage => ({
+    startTime: stage.startTime,
+    endTime: stage.endTime || 0,
+    price: stage.priceWei,
+    walletLimit: stage.maxPerWallet || 0,
+    allowlist: stage.kind === 'allowlist',
+  }));
+}
+
+// Stages keep the shifted schedule, price and wallet limit; the largest stage supply caps the whole contract
+async function deploySampleMint(deployer, stages) {
+  const maxSupply = Math.max(0, ...stages.map(stage => stage.maxSupply || 0));
+  const factory = new ethers.ContractFactory(SAMPLE_MINT_ABI, SAMPLE_MINT_BYTECODE, deployer);
+  const contract = await factory.deploy(toContractStages(stages), maxSupply);
+  await contract.deployed();
+  return contract.address;
+}
+
+// Each collection the link resolves to, with the stages the engine will load for it
+async function discoverCollections(client, link) {
+  const { linkType, collections, stages: launchpadStages } = await fetchCollections(client, link);
+  const found = new Map();
+  for (const collection of collections) {
+    const key = collection.collectionId.toLowerCase();
+    if (found.has(key)) continue;
+    const stages = await loadCollectionStages(client, { linkType, collection, launchpadStages }).catch(() => []);
+    found.set(key, { collection, stages });
+  }
+  return [...found.values()];
+}
+
+/**
+ * @typedef {Object} Rehearsal
+ * @property {Object} env Engine environment that sends Magic Eden requests to the replay server and the recorded chain's RPC calls to the local node
+ * @property {Array<string>} links Links to mint
+ * @property {function(): Promise<void>} close Stops the replay server
+ */
+
+// Serves the fixtures with shifted stage times, funds the wallets on the local
+// node and deploys a sample mint contract in place of each recorded collection.
+// The node has to run the recorded chain's ID.
+/** @returns {Promise<Rehearsal>} */
+async function startRehearsal({
+  fixturesDir,
+  rpcUrl = DEFAULT_RPC_URL,
+  startsInSeconds = DEFAULT_STARTS_IN_SECONDS,
+  links = null,
+  signers,
+  env = process.env,
+  log = () => {},
+}) {
+  const recorded = loadFixtures(fixturesDir);
+  const rehearsalLinks = links && links.length ? links : recorded.manifest.links;
+  if (!rehearsalLinks.length) throw new Error(`${fixturesDir} does not name the links it was recorded for, pass --link`);
+  if (!signers.length) throw new Error('No wallets loaded');
+
+  const chains = [...new Map(rehearsalLinks.map((link) => {
+    const { chain: slug } = parseCollectionLink(link);
+    return [slug, getChain(slug, env)];
+  })).values()];
+  const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+  let chainId;
+  try {
+    ({ chainId } = await provider.getNetwork());
+  } catch (error) {
+    throw new Error(`No local node at ${rpcUrl}, start one with: anvil --chain-id ${chains[0].chainId} --block-time 1`);
+  }
+  chains.forEach((chain) => {
+    if (chain.chainId !== chainId) {
+      throw new Error(`The local node at ${rpcUrl} runs chain ID ${chainId}, ${chain.slug} needs ${chain.chainId}: restart it with --chain-id ${chain.chainId}`);
+    }
+  });
+
+  const shiftSeconds = computeTimeShift(recorded, startsInSeconds);
+  const replay = createReplayServer({ fixtures: recorded.fixtures, shiftSeconds, log });
+  const { url } = await replay.listen();
+  log(`Replaying ${recorded.fixtures.length} fixture(s) from ${fixturesDir} on ${url}, stage times moved by ${shiftSeconds}s`);
+
+  try {
+    for (const signer of signers) {
+      await setBalance(provider, signer.address, REHEARSAL_BALANCE);
+    }
+    log(`Set ${signers.length} wallet balance(s) to ${ethers.utils.formatEther(REHEARSAL_BALANCE)} on the local node`);
+
+    const client = new MagicEdenClient({ baseUrl: url, transport: createHttpTransport(), cacheTtlMs: 0 });
+    const deployer = signers[0].connect(provider);
+    for (const link of rehearsalLinks) {
+      const collectionLink = parseCollectionLink(link);
+      for (const { collection, stages } of await discoverCollections(client.forChain(collectionLink.chain), collectionLink)) {
+        const address = await deploySampleMint(deployer, stages);
+        replay.mapAddress(collection.collectionId, address);
+        log(`Sample contract for ${collection.collectionName} (${collection.collectionId}) deployed at ${address} with ${stages.length} stage(s)`);
+      }
+    }
+
+    return {
+      env: {
+        ...env,
+        ME_API_BASE_URL: url,
+        ME_TRANSPORT: 'http',
+        ME_PROXIES: '',
+        ME_PROXIES_FILE: '',
+        ...Object.fromEntries(chains.map(chain => [rpcOverrideName(chain.slug), rpcUrl])),
+      },
+      links: rehearsalLinks,
+      close: () => replay.close(),
+    };
+  } catch (error) {
+    await replay.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  DEFAULT_STARTS_IN_SECONDS,
+  deploySampleMint,
+  startRehearsal,
+};
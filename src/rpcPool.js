@@ -0,0 +1,165 @@
+const ethers = require('ethers');
+
+const LATENCY_SMOOTHING = 0.3;
+const MAX_BLOCK_LAG = 3;
+
+function isTransportError(error) {
+  if (typeof error.code === 'number') return false;
+  if (error.error && typeof error.error.code === 'number') return false;
+  if (['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'].includes(error.code)) return true;
+  return /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up|missing response|bad response/i.test(error.message || '');
+}
+
+class RpcPoolProvider extends ethers.providers.JsonRpcProvider {
+  constructor(urls, { network, timeoutMs = 10000, broadcastAll = false, log = () => {} } = {}) {
+    if (!urls || !urls.length) throw new Error('At least one RPC URL is required');
+    super({ url: urls[0], timeout: timeoutMs }, network);
+
+    this.endpoints = urls.map(url => ({
+      url,
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: timeoutMs }, network),
+      healthy: true,
+      latencyMs: null,
+      blockNumber: null,
+      failures: 0,
+    }));
+    this.broadcastAll = broadcastAll;
+    this.log = log;
+    this.healthTimer = null;
+  }
+
+  rankedEndpoints() {
+    return [...this.endpoints].sort((a, b) => {
+      if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+      return (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+    });
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    endpoint.failures = 0;
+    endpoint.healthy = true;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures += 1;
+    if (endpoint.healthy) {
+      endpoint.healthy = false;
+      this.log(`RPC ${endpoint.url} marked unhealthy: ${error.reason || error.message}`);
+    }
+  }
+
+  async sendTo(endpoint, method, params) {
+    const startedAt = Date.now();
+    try {
+      const result = await endpoint.provider.send(method, params);
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isTransportError(error)) this.recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  async send(method, params) {
+    if (method === 'eth_sendRawTransaction' && this.broadcastAll && this.endpoints.length > 1) {
+      return this.broadcast(method, params);
+    }
+
+    let lastError = null;
+    for (const endpoint of this.rankedEndpoints()) {
+      try {
+        return await this.sendTo(endpoint, method, params);
+      } catch (error) {
+        if (!isTransportError(error)) throw error;
+        lastError = error;
+        this.log(`RPC ${endpoint.url} failed ${method}, trying next endpoint`);
+      }
+    }
+    throw lastError;
+  }
+
+  async broadcast(method, params) {
+    const attempts = this.endpoints.map(endpoint => this.sendTo(endpoint, method, params));
+    try {
+      return await Promise.any(attempts);
+    } catch (aggregate) {
+      throw aggregate.errors[0];
+    }
+  }
+
+  async checkHealth() {
+    const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const blockNumber = await endpoint.provider.send('eth_blockNumber', []);
+        return { endpoint, blockNumber: ethers.BigNumber.from(blockNumber).toNumber(), latencyMs: Date.now() - startedAt };
+      } catch (error) {
+        return { endpoint, error };
+      }
+    }));
+
+    const highestBlock = Math.max(0, ...results.map(result => result.blockNumber || 0));
+    results.forEach(({ endpoint, blockNumber, latencyMs, error }) => {
+      if (error) {
+        this.recordFailure(endpoint, error);
+        return;
+      }
+
+      endpoint.blockNumber = blockNumber;
+      const lag = highestBlock - blockNumber;
+      if (lag > MAX_BLOCK_LAG) {
+        this.recordFailure(endpoint, new Error(`${lag} blocks behind`));
+        return;
+      }
+      if (!endpoint.healthy) this.log(`RPC ${endpoint.url} is healthy again`);
+      this.recordSuccess(endpoint, latencyMs);
+    });
+
+    return this.status();
+  }
+
+  async verifyChainId(expectedChainId) {
+    const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const chainId = await endpoint.provider.send('eth_chainId', []);
+        return { endpoint, chainId: ethers.BigNumber.from(chainId).toNumber() };
+      } catch (error) {
+        return { endpoint, chainId: null };
+      }
+    }));
+
+    const mismatched = results.filter(({ chainId }) => chainId !== null && chainId !== expectedChainId);
+    mismatched.forEach(({ endpoint, chainId }) => {
+      this.log(`RPC ${endpoint.url} is on chain ${chainId}, expected ${expectedChainId}, removing it from the pool`);
+    });
+    if (mismatched.length === this.endpoints.length) {
+      throw new Error(`No RPC endpoint is on chain ${expectedChainId}`);
+    }
+    this.endpoints = this.endpoints.filter(endpoint => !mismatched.some(result => result.endpoint === endpoint));
+  }
+
+  startHealthChecks(intervalMs) {
+    this.stopHealthChecks();
+    this.healthTimer = setInterval(() => this.checkHealth().catch(() => {}), intervalMs);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  status() {
+    return this.rankedEndpoints().map(({ url, healthy, latencyMs, blockNumber }) => ({ url, healthy, latencyMs, blockNumber }));
+  }
+}
+
+module.exports = {
+  RpcPoolProvider,
+  isTransportError,
+};
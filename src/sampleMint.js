@@ -0,0 +1,32 @@
+// Generated by contracts/build.js from contracts/SampleMint.sol with solc 0.8.26, optimizer on (200 runs), EVM version paris. Do not edit.
+const SAMPLE_MINT_ABI = [
+  'constructor(tuple(uint64 startTime, uint64 endTime, uint256 price, uint256 walletLimit, bool allowlist)[] _stages, uint256 _maxSupply)',
+  'error MaxSupplyExceeded()',
+  'error NotEnoughValue()',
+  'error NotStarted()',
+  'error StageEnded()',
+  'error WalletLimitExceeded()',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function maxSupply(uint256) view returns (uint256)',
+  'function maxSupply() view returns (uint256)',
+  'function mintAllowlist(address to, uint256 id, uint256 qty, bytes32[]) payable',
+  'function mintAllowlist(address to, uint256 qty, bytes32[]) payable',
+  'function mintPublic(address to, uint256 id, uint256 qty, bytes) payable',
+  'function mintPublic(address to, uint256 qty) payable',
+  'function numberMinted(address owner) view returns (uint256)',
+  'function stageCount() view returns (uint256)',
+  'function stages(uint256) view returns (uint64 startTime, uint64 endTime, uint256 price, uint256 walletLimit, bool allowlist)',
+  'function totalMintedByUser(address user, uint256 id) view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function totalSupply(uint256 id) view returns (uint256)',
+];
+
+const SAMPLE_MINT_BYTECODE = '0x608060405234801561001057600080fd5b50604051610c57380380610c5783398101604081905261002f91610170565b60005b82518110156100dc57600083828151811061004f5761004f61028a565b60209081029190910181015182546001818101855560009485529383902082516004909202018054938301516001600160401b0390811668010000000000000000026001600160801b031990951692169190911792909217825560408101518284015560608101516002830155608001516003909101805491151560ff1990921691909117905501610032565b50600155506102a0565b634e487b7160e01b600052604160045260246000fd5b60405160a081016001600160401b038111828210171561011e5761011e6100e6565b60405290565b604051601f8201601f191681016001600160401b038111828210171561014c5761014c6100e6565b604052919050565b80516001600160401b038116811461016b57600080fd5b919050565b6000806040838503121561018357600080fd5b82516001600160401b0381111561019957600080fd5b8301601f810185136101aa57600080fd5b80516001600160401b038111156101c3576101c36100e6565b6101d260208260051b01610124565b80828252602082019150602060a084028501019250878311156101f457600080fd5b6020840193505b828410156102775760a0848903121561021357600080fd5b61021b6100fc565b61022485610154565b815261023260208601610154565b602082015260408581015190820152606080860151908201526080850151801515811461025e57600080fd5b6080820152825260a093909301926020909101906101fb565b6020969096015195979596505050505050565b634e487b7160e01b600052603260045260246000fd5b6109a8806102af6000396000f3fe6080604052600436106100dc5760003560e01c80639b4f3af51161007f578063cc5dfcba11610059578063cc5dfcba1461023f578063d5abeb0114610252578063dc33e6811461013e578063f33261ac1461026757600080fd5b80639b4f3af5146101ec5780639f93f779146101ff578063bd85b0391461021257600080fd5b80634520ce2e116100bb5780634520ce2e146100e157806370a082311461013e578063845ddcb214610174578063869f7594146101ca57600080fd5b8062fdd58e146100e157806315ecce2f1461011457806318160ddd14610129575b600080fd5b3480156100ed57600080fd5b506101016100fc3660046106fa565b61027c565b6040519081526020015b60405180910390f35b610127610122366004610770565b6102a6565b005b34801561013557600080fd5b50600254610101565b34801561014a57600080fd5b506101016101593660046107d8565b6001600160a01b031660009081526003602052604090205490565b34801561018057600080fd5b5061019461018f3660046107fa565b6102ba565b6040805167ffffffffffffffff96871681529590941660208601529284019190915260608301521515608082015260a00161010b565b3480156101d657600080fd5b506101016101e53660046107fa565b5060015490565b6101276101fa366004610813565b61030e565b61012761020d3660046106fa565b61031b565b34801561021e57600080fd5b5061010161022d3660046107fa565b60009081526004602052604090205490565b61012761024d3660046108a9565b61032b565b34801561025e57600080fd5b50600154610101565b34801561027357600080fd5b50600054610101565b60008181526005602090815260408083206001600160a01b03861684529091529020545b92915050565b6102b3858585600161033d565b5050505050565b600081815481106102ca57600080fd5b6000918252602090912060049091020180546001820154600283015460039093015467ffffffffffffffff8084169550600160401b90930490921692909160ff1685565b6102b3858585600061033d565b61032782826000610435565b5050565b61033784846001610435565b50505050565b6103488483836104ea565b816002600082825461035a9190610919565b90915550506001600160a01b03841660009081526003602052604081208054849290610387908490610919565b9091555050600083815260046020526040812080548492906103aa908490610919565b909155505060008381526005602090815260408083206001600160a01b0388168452909152812080548492906103e1908490610919565b909155505060408051848152602081018490526001600160a01b0386169160009133917fc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62910160405180910390a450505050565b6104408383836104ea565b60015b8281116104a057806002546104589190610919565b6040516001600160a01b038616906000907fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef908290a4806104988161092c565b915050610443565b5081600260008282546104b39190610919565b90915550506001600160a01b038316600090815260036020526040812080548492906104e0908490610919565b9091555050505050565b60008060008060005b60005481101561065557600080828154811061051157610511610945565b6000918252602090912060036004909202019081015490915060ff1615158715151461053d575061064d565b8054600160401b900467ffffffffffffffff161580159061057057508054600160401b900467ffffffffffffffff164210155b1561057f57600194505061064d565b805467ffffffffffffffff1642101561059c57600193505061064d565b600195508781600101546105b0919061095b565b3410156105bd575061064d565b600281015460019350158015906105fa575060028101546001600160a01b038a166000908152600360205260409020546105f8908a90610919565b115b15610605575061064d565b600154158015906106245750600154886002546106229190610919565b115b1561064257604051638a164f6360e01b815260040160405180910390fd5b505050505050505050565b6001016104f3565b50831580156106615750825b801561066b575081155b1561068957604051632e3e521960e01b815260040160405180910390fd5b836106a757604051636f312cbd60e01b815260040160405180910390fd5b806106c557604051630717c22560e51b815260040160405180910390fd5b60405163746f460760e01b815260040160405180910390fd5b80356001600160a01b03811681146106f557600080fd5b919050565b6000806040838503121561070d57600080fd5b610716836106de565b946020939093013593505050565b60008083601f84011261073657600080fd5b50813567ffffffffffffffff81111561074e57600080fd5b6020830191508360208260051b850101111561076957600080fd5b9250929050565b60008060008060006080868803121561078857600080fd5b610791866106de565b94506020860135935060408601359250606086013567ffffffffffffffff8111156107bb57600080fd5b6107c788828901610724565b969995985093965092949392505050565b6000602082840312156107ea57600080fd5b6107f3826106de565b9392505050565b60006020828403121561080c57600080fd5b5035919050565b60008060008060006080868803121561082b57600080fd5b610834866106de565b94506020860135935060408601359250606086013567ffffffffffffffff81111561085e57600080fd5b8601601f8101881361086f57600080fd5b803567ffffffffffffffff81111561088657600080fd5b88602082840101111561089857600080fd5b959894975092955050506020019190565b600080600080606085870312156108bf57600080fd5b6108c8856106de565b935060208501359250604085013567ffffffffffffffff8111156108eb57600080fd5b6108f787828801610724565b95989497509550505050565b634e487b7160e01b600052601160045260246000fd5b808201808211156102a0576102a0610903565b60006001820161093e5761093e610903565b5060010190565b634e487b7160e01b600052603260045260246000fd5b80820281158282048414176102a0576102a061090356fea2646970667358221220fffc10f5d2b198b87f15f92b20d34be8c5f45796efdd2995f04d8872f4d4440864736f6c634300081a0033';
+
+module.exports = {
+  SAMPLE_MINT_ABI,
+  SAMPLE_MINT_BYTECODE,
+};
@@ -0,0 +1,93 @@
+const DRIFT_SAMPLES = 5;
+const DRIFT_SAMPLE_INTERVAL_MS = 250;
+const BLOCK_TIME_WINDOW = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function sleepUntil(targetMs) {
+  let remaining = targetMs - Date.now();
+  while (remaining > 25) {
+    await sleep(Math.min(remaining - 20, 60000));
+    remaining = targetMs - Date.now();
+  }
+  while (Date.now() < targetMs) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+async function estimateBlockTime(provider, latest) {
+  const window = Math.min(BLOCK_TIME_WINDOW, latest.number);
+  if (!window) return 1000;
+
+  const earlier = await provider.getBlock(latest.number - window);
+  const blockTimeMs = ((latest.timestamp - earlier.timestamp) * 1000) / window;
+  return blockTimeMs > 0 ? blockTimeMs : 1000;
+}
+
+// Block timestamps are whole seconds and arrive after propagation delay, so the
+// smallest observed (local - chain) gap is the closest estimate of true drift.
+async function measureClockDrift(provider, { samples = DRIFT_SAMPLES, intervalMs = DRIFT_SAMPLE_INTERVAL_MS } = {}) {
+  let driftMs = Infinity;
+  let latest = null;
+
+  for (let i = 0; i < samples; i++) {
+    const sentAt = Date.now();
+    const block = await provider.getBlock('latest');
+    const receivedAt = Date.now();
+    const localMs = sentAt + (receivedAt - sentAt) / 2;
+
+    driftMs = Math.min(driftMs, localMs - block.timestamp * 1000);
+    latest = block;
+    if (i < samples - 1) await sleep(intervalMs);
+  }
+
+  const blockTimeMs = await estimateBlockTime(provider, latest);
+  return { driftMs: Math.round(driftMs), blockTimeMs, latestBlock: latest };
+}
+
+async function createLaunchPlan(provider, startTime, { offsetMs = 0 } = {}) {
+  const { driftMs, blockTimeMs, latestBlock } = await measureClockDrift(provider);
+  const startMs = startTime * 1000;
+  const latestMs = latestBlock.timestamp * 1000;
+
+  const blocksUntilStart = Math.max(Math.ceil((startMs - latestMs) / blockTimeMs), 0);
+  const expectedBlockNumber = latestBlock.number + blocksUntilStart;
+  const expectedBlockMs = latestMs + blocksUntilStart * blockTimeMs;
+
+  return {
+    startTime,
+    driftMs,
+    blockTimeMs,
+    offsetMs,
+    expectedBlockNumber,
+    expectedBlockTimestamp: Math.floor(expectedBlockMs / 1000),
+    releaseAtMs: Math.round(expectedBlockMs + driftMs + offsetMs),
+  };
+}
+
+async function signTransactions(wallet, transactions) {
+  return Promise.all(transactions.map(async (tx) => {
+    const populated = await wallet.populateTransaction(tx);
+    return wallet.signTransaction(populated);
+  }));
+}
+
+async function describeInclusion(provider, plan, blockNumbers) {
+  if (!blockNumbers.length) return null;
+
+  const firstBlockNumber = Math.min(...blockNumbers);
+  const block = await provider.getBlock(firstBlockNumber);
+  return {
+    blockNumber: firstBlockNumber,
+    blockDelta: firstBlockNumber - plan.expectedBlockNumber,
+    secondsAfterStart: block.timestamp - plan.startTime,
+  };
+}
+
+module.exports = {
+  sleepUntil,
+  measureClockDrift,
+  createLaunchPlan,
+  signTransactions,
+  describeInclusion,
+};
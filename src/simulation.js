@@ -0,0 +1,44 @@
+const { classifyFailure, classifyCallResult } = require('./receipts.js');
+
+const BLOCKING_REASONS = ['stage-ended', 'sold-out', 'max-per-wallet', 'not-allowlisted', 'insufficient-funds', 'reverted'];
+
+function toCallRequest(tx, from) {
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, gasLimit, ...callTx } = tx;
+  return { ...callTx, from };
+}
+
+async function simulateMint(provider, tx, from, { gasBufferPercent = 20 } = {}) {
+  const request = toCallRequest(tx, from);
+
+  try {
+    const failure = classifyCallResult(await provider.call(request, 'pending'));
+    if (failure) return { ok: false, step: 'eth_call', failure };
+  } catch (error) {
+    return { ok: false, step: 'eth_call', failure: classifyFailure(error) };
+  }
+
+  try {
+    const gasEstimate = await provider.estimateGas(request);
+    const gasLimit = gasEstimate.mul(100 + gasBufferPercent).div(100);
+    return { ok: true, gasEstimate, gasLimit };
+  } catch (error) {
+    return { ok: false, step: 'estimateGas', failure: classifyFailure(error) };
+  }
+}
+
+function isSimulationBlocking(result) {
+  return !result.ok && BLOCKING_REASONS.includes(result.failure.reason);
+}
+
+function describeSimulation(result) {
+  if (result.ok) {
+    return `simulation passed, gas estimate ${result.gasEstimate.toString()}, gas limit ${result.gasLimit.toString()}`;
+  }
+  return `simulation failed at ${result.step}: ${result.failure.reason} (${result.failure.message})`;
+}
+
+module.exports = {
+  simulateMint,
+  isSimulationBlocking,
+  describeSimulation,
+};
@@ -0,0 +1,85 @@
+const ethers = require('ethers');
+
+// Worst case for a transaction is its full value plus every unit of its gas limit
+// at the highest fee it is allowed to pay.
+function maxTransactionCost(tx) {
+  const feePerGas = tx.maxFeePerGas || tx.gasPrice || 0;
+  const valueWei = ethers.BigNumber.from(tx.value || 0);
+  const maxGasWei = ethers.BigNumber.from(tx.gasLimit || 0).mul(feePerGas);
+  return { valueWei, maxGasWei, totalWei: valueWei.add(maxGasWei) };
+}
+
+function sumTransactionCosts(transactions) {
+  return transactions.reduce((totals, tx) => {
+    const cost = maxTransactionCost(tx);
+    return {
+      valueWei: totals.valueWei.add(cost.valueWei),
+      maxGasWei: totals.maxGasWei.add(cost.maxGasWei),
+      totalWei: totals.totalWei.add(cost.totalWei),
+    };
+  }, { valueWei: ethers.constants.Zero, maxGasWei: ethers.constants.Zero, totalWei: ethers.constants.Zero });
+}
+
+// Number of leading transactions whose combined worst-case cost fits in the allowance.
+function affordableCount(transactions, allowanceWei) {
+  let remaining = ethers.BigNumber.from(allowanceWei);
+  let count = 0;
+  for (const tx of transactions) {
+    const { totalWei } = maxTransactionCost(tx);
+    if (totalWei.gt(remaining)) break;
+    remaining = remaining.sub(totalWei);
+    count += 1;
+  }
+  return count;
+}
+
+// What a wallet still needs to cover `count` mints at worst-case gas
+function fundingShortfall({ balanceWei, priceWei, count, gasLimit, maxFeePerGas }) {
+  const perMint = maxTransactionCost({ value: priceWei, gasLimit, maxFeePerGas }).totalWei;
+  const neededWei = perMint.mul(count);
+  return { neededWei, shortfallWei: neededWei.gt(balanceWei) ? neededWei.sub(balanceWei) : ethers.constants.Zero };
+}
+
+// Balance that can be sent away while keeping enough for the transfer's own gas
+function collectableAmount({ balanceWei, gasLimit, maxFeePerGas }) {
+  const reserveWei = maxTransactionCost({ gasLimit, maxFeePerGas }).maxGasWei;
+  return ethers.BigNumber.from(balanceWei).gt(reserveWei) ? ethers.BigNumber.from(balanceWei).sub(reserveWei) : ethers.constants.Zero;
+}
+
+function createSpendBudget(limit) {
+  if (!limit) return null;
+  const limitWei = ethers.utils.parseEther(limit);
+  let spentWei = ethers.constants.Zero;
+  let heldWei = ethers.constants.Zero;
+
+  return {
+    limitWei,
+    remaining: () => {
+      const committedWei = spentWei.add(heldWei);
+      return limitWei.gt(committedWei) ? limitWei.sub(committedWei) : ethers.constants.Zero;
+    },
+    spent: () => spentWei,
+    record: (amountWei) => {
+      spentWei = spentWei.add(amountWei);
+    },
+    // Sets aside the worst case of transactions signed but not settled yet;
+    // returns a function that gives it back once their real cost is recorded
+    hold: (amountWei) => {
+      heldWei = heldWei.add(amountWei);
+      let held = true;
+      return () => {
+        if (held) heldWei = heldWei.sub(amountWei);
+        held = false;
+      };
+    },
+  };
+}
+
+module.exports = {
+  maxTransactionCost,
+  sumTransactionCosts,
+  affordableCount,
+  fundingShortfall,
+  collectableAmount,
+  createSpendBudget,
+};
@@ -0,0 +1,153 @@
+const ethers = require('ethers');
+
+function detectStageKind(stage) {
+  const kind = String(stage.kind || stage.type || '').toLowerCase();
+  if (kind.includes('allow') || kind.includes('whitelist')) return 'allowlist';
+  if (kind.includes('public')) return 'public';
+  if (stage.allowlist || stage.allowlistId || stage.merkleRoot || stage.isAllowlist) return 'allowlist';
+  return 'public';
+}
+
+function stageId(stage, index) {
+  return String(stage.id || stage.stageId || index);
+}
+
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 1e12 ? Math.floor(value / 1000) : value;
+  if (/^\d+$/.test(value)) return toUnixSeconds(Number(value));
+
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms / 1000;
+}
+
+function parseStagePrice(price) {
+  if (price === undefined || price === null) return ethers.constants.Zero;
+  if (Array.isArray(price)) return ethers.utils.parseEther(String(price[0]));
+  if (typeof price === 'object') {
+    if (price.raw !== undefined) return ethers.BigNumber.from(price.raw);
+    if (price.amount !== undefined) return parseStagePrice(price.amount);
+    if (price.decimal !== undefined) return ethers.utils.parseEther(String(price.decimal));
+  }
+  return ethers.utils.parseEther(String(price));
+}
+
+function toLimit(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function normalizeStage(raw, index) {
+  return {
+    id: stageId(raw, index),
+    kind: detectStageKind(raw),
+    index,
+    startTime: toUnixSeconds(raw.startTime) || 0,
+    endTime: toUnixSeconds(raw.endTime) || null,
+    priceWei: parseStagePrice(raw.price),
+    maxPerWallet: toLimit(raw.walletLimit ?? raw.maxMintsPerWallet ?? raw.maxPerWallet ?? raw.perWalletLimit),
+    maxSupply: toLimit(raw.maxSupply ?? raw.supply),
+    tokenId: raw.tokenId !== undefined && raw.tokenId !== null ? String(raw.tokenId) : null,
+  };
+}
+
+function normalizeStages(rawStages) {
+  return (rawStages || []).map(normalizeStage);
+}
+
+function hasStageEnded(stage, now) {
+  return Boolean(stage.endTime) && stage.endTime <= now;
+}
+
+function isStageOpen(stage, now) {
+  return stage.startTime <= now && !hasStageEnded(stage, now);
+}
+
+function selectWalletStage({ stages, selectedStage, eligibleStageIds = [], now }) {
+  const isEligible = (stage) => eligibleStageIds.includes(stage.id);
+
+  if (selectedStage.kind === 'allowlist') {
+    if (isEligible(selectedStage)) return { stage: selectedStage, allowlist: true };
+
+    const publicStage = stages.find(stage => stage.kind === 'public' && isStageOpen(stage, now));
+    if (publicStage) return { stage: publicStage, allowlist: false, fallback: true };
+    return { stage: null, reason: 'not eligible for the allowlist stage and no public stage is open' };
+  }
+
+  const allowlistStage = stages.find(stage => stage.kind === 'allowlist' && isEligible(stage) && isStageOpen(stage, now));
+  if (allowlistStage) return { stage: allowlistStage, allowlist: true };
+  return { stage: selectedStage, allowlist: false };
+}
+
+// Picks the stage a run mints. Without a requested stage the last open one is
+// used once every unfinished stage has started; otherwise the caller has to ask.
+function chooseStage({ stages, requested, now }) {
+  const activeStages = stages.filter(stage => !hasStageEnded(stage, now));
+  if (!activeStages.length) return { stage: null, skip: true, reason: 'all stages have ended' };
+
+  if (requested === undefined || requested === null) {
+    if (activeStages.every(stage => stage.startTime <= now)) {
+      return { stage: activeStages[activeStages.length - 1], auto: true };
+    }
+    return { stage: null, needsChoice: true };
+  }
+  if (!Number.isInteger(requested) || requested < 1 || requested > stages.length) {
+    return { stage: null, reason: 'invalid stage selection' };
+  }
+  if (hasStageEnded(stages[requested - 1], now)) {
+    return { stage: null, reason: `stage ${requested} has already ended` };
+  }
+  return { stage: stages[requested - 1] };
+}
+
+function mostExpensiveOpenStage(stages, now) {
+  const openStages = stages.filter(stage => !hasStageEnded(stage, now));
+  if (!openStages.length) return null;
+  return openStages.reduce((highest, stage) => (stage.priceWei.gt(highest.priceWei) ? stage : highest));
+}
+
+function capMintCount({ requested, stage, walletMinted = 0, supplyRemaining = Infinity }) {
+  let count = requested;
+  const reasons = [];
+
+  if (stage.maxPerWallet) {
+    const walletRemaining = Math.max(stage.maxPerWallet - walletMinted, 0);
+    if (walletRemaining < count) {
+      count = walletRemaining;
+      reasons.push(`max ${stage.maxPerWallet} per wallet, ${walletMinted} already minted`);
+    }
+  }
+
+  if (supplyRemaining < count) {
+    count = Math.max(supplyRemaining, 0);
+    reasons.push(`${Math.max(supplyRemaining, 0)} left in supply`);
+  }
+
+  return { count, reason: reasons.join(', ') };
+}
+
+function describeStage(stage, symbol = 'MON') {
+  const parts = [
+    `Start time: ${new Date(stage.startTime * 1000).toLocaleString()}`,
+    stage.endTime ? `End time: ${new Date(stage.endTime * 1000).toLocaleString()}` : null,
+    `Price: ${ethers.utils.formatEther(stage.priceWei)} ${symbol}`,
+    stage.maxPerWallet ? `Max per wallet: ${stage.maxPerWallet}` : null,
+    stage.maxSupply ? `Max supply: ${stage.maxSupply}` : null,
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+module.exports = {
+  detectStageKind,
+  stageId,
+  toUnixSeconds,
+  normalizeStage,
+  normalizeStages,
+  hasStageEnded,
+  isStageOpen,
+  selectWalletStage,
+  chooseStage,
+  mostExpensiveOpenStage,
+  capMintCount,
+  describeStage,
+};
@@ -0,0 +1,75 @@
+const ethers = require('ethers');
+
+const ERC721_TRANSFER_ABI = [
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+];
+
+const ERC1155_TRANSFER_ABI = [
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+];
+
+const erc721TransferInterface = new ethers.utils.Interface(ERC721_TRANSFER_ABI);
+const erc1155TransferInterface = new ethers.utils.Interface(ERC1155_TRANSFER_ABI);
+
+/**
+ * @typedef {Object} SweepTransfer
+ * @property {string} to Collection contract
+ * @property {string} data
+ * @property {Array<string>} tokenIds
+ * @property {Array<string>} amounts
+ */
+
+/**
+ * @typedef {Object} SweepTokens
+ * @property {Array<Object>} tokens Tokens decoded from the mint receipts
+ * @property {Array<Object>} unknown Successful mints whose receipts showed no token of the collection
+ */
+
+// Only tokens read from the receipts are swept: a mint that logged none may
+// have sent its tokens elsewhere, so it is reported instead of guessed at.
+/** @returns {SweepTokens} */
+function collectSweepTokens({ collectionId }, results) {
+  const ownTokens = (result) => (result.tokens || []).filter(token => token.contract.toLowerCase() === collectionId.toLowerCase());
+  const successes = results.filter(result => result.status === 'success');
+  return {
+    tokens: successes.flatMap(ownTokens),
+    unknown: successes.filter(result => !ownTokens(result).length),
+  };
+}
+
+/** @returns {Array<SweepTransfer>} */
+function buildSweepTransfers({ collectionId, protocol }, from, vault, tokens) {
+  if (protocol === 'erc721') {
+    return tokens.map(token => ({
+      to: collectionId,
+      data: erc721TransferInterface.encodeFunctionData('safeTransferFrom', [from, vault, token.tokenId]),
+      tokenIds: [token.tokenId],
+      amounts: ['1'],
+    }));
+  }
+
+  if (protocol === 'erc1155') {
+    const amounts = new Map();
+    tokens.forEach((token) => {
+      amounts.set(token.tokenId, (amounts.get(token.tokenId) || ethers.constants.Zero).add(token.amount));
+    });
+    if (!amounts.size) return [];
+
+    const ids = [...amounts.keys()];
+    const values = ids.map(id => amounts.get(id).toString());
+    const data = ids.length === 1
+      ? erc1155TransferInterface.encodeFunctionData('safeTransferFrom', [from, vault, ids[0], values[0], '0x'])
+      : erc1155TransferInterface.encodeFunctionData('safeBatchTransferFrom', [from, vault, ids, values, '0x']);
+    return [{ to: collectionId, data, tokenIds: ids, amounts: values }];
+  }
+
+  throw new Error(`Unsupported protocol for sweep: ${protocol}`);
+}
+
+module.exports = {
+  ERC721_TRANSFER_ABI,
+  ERC1155_TRANSFER_ABI,
+  collectSweepTokens,
+  buildSweepTransfers,
+};
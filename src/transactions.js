@@ -0,0 +1,49 @@
+const { encodeMintCall } = require('./mintAbi.js');
+
+const MINT_GAS_LIMIT = 500000;
+const SELF_TRANSFER_GAS_LIMIT = 21000;
+
+/**
+ * @typedef {Object} MintTx
+ * @property {string} to Collection contract
+ * @property {number} chainId
+ * @property {BigNumber} value
+ * @property {number|BigNumber} gasLimit
+ * @property {string} data
+ */
+
+// The chain ID is always set so a signer connected to the wrong network refuses to sign
+/** @returns {MintTx} */
+function buildMintTx({ chainId, collectionId, priceWei, protocol, tokenId, recipient, proof = null, gasLimit = MINT_GAS_LIMIT }) {
+  if (!chainId) throw new Error('A chain ID is required to build a mint transaction');
+  return {
+    to: collectionId,
+    chainId,
+    value: priceWei,
+    gasLimit,
+    data: encodeMintCall({ protocol, recipient, tokenId, proof }),
+  };
+}
+
+// One copy of the base transaction per reserved nonce, all at the same fees
+function buildMintTransactions(baseTx, gasParams, nonces) {
+  return nonces.map(nonce => ({ ...baseTx, ...gasParams, nonce }));
+}
+
+function buildTransferTx({ chainId, to, amountWei, gasLimit, nonce }, gasParams) {
+  return { to, value: amountWei, gasLimit, chainId, nonce, ...gasParams };
+}
+
+// Zero-value transfer to the wallet itself: the cheapest way to use up a nonce
+function buildSelfTransferTx({ chainId, address, nonce }, gasParams) {
+  return buildTransferTx({ chainId, to: address, amountWei: 0, gasLimit: SELF_TRANSFER_GAS_LIMIT, nonce }, gasParams);
+}
+
+module.exports = {
+  MINT_GAS_LIMIT,
+  SELF_TRANSFER_GAS_LIMIT,
+  buildMintTx,
+  buildMintTransactions,
+  buildTransferTx,
+  buildSelfTransferTx,
+};
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const puppeteer = require('puppeteer');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const REQUEST_HEADERS = {
+  'accept': 'application/json, text/plain, */*',
+  'accept-encoding': 'gzip, deflate, br, zstd',
+  'accept-language': 'en-US,en;q=0.9,id;q=0.8',
+  'origin': 'https://magiceden.io',
+  'referer': 'https://magiceden.io/',
+  'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36',
+};
+
+const USER_AGENTS = [
+  REQUEST_HEADERS['user-agent'],
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:135.0) Gecko/20100101 Firefox/135.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_7_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.3 Safari/605.1.15',
+];
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const BACKOFF_STATUSES = [403, 429];
+
+function createRequestError(message, { status, blocked = false, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.blocked = blocked;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const dateMs = Date.parse(value);
+  return Number.isNaN(dateMs) ? null : Math.max(dateMs - Date.now(), 0);
+}
+
+function parseProxy(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid proxy URL: ${value}`);
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+    throw new Error(`Invalid proxy URL: ${value} (expected http://, https:// or socks5:// with a host)`);
+  }
+  return url;
+}
+
+// Credentials never make it into logs
+function describeProxy(proxy) {
+  const url = parseProxy(proxy);
+  return `${url.protocol}//${url.host}`;
+}
+
+// `ME_PROXIES` is comma-separated, `ME_PROXIES_FILE` holds one proxy per line
+function loadProxies(env) {
+  const values = [];
+  if (env.ME_PROXIES) values.push(...env.ME_PROXIES.split(','));
+  if (env.ME_PROXIES_FILE) values.push(...fs.readFileSync(env.ME_PROXIES_FILE, 'utf8').split(/\r?\n/));
+  const proxies = values.map(value => value.trim()).filter(value => value && !value.startsWith('#'));
+  proxies.forEach(parseProxy);
+  return [...new Set(proxies)];
+}
+
+// User agents contain commas, so a custom list only comes from a file, one per line
+function loadUserAgents(env) {
+  if (!env.ME_USER_AGENTS_FILE) return USER_AGENTS;
+  const userAgents = fs.readFileSync(env.ME_USER_AGENTS_FILE, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  if (!userAgents.length) throw new Error(`No user agents in ${env.ME_USER_AGENTS_FILE}`);
+  return userAgents;
+}
+
+function createProxyAgent(proxy) {
+  const url = parseProxy(proxy);
+  return url.protocol.startsWith('socks') ? new SocksProxyAgent(url.href) : new HttpsProxyAgent(url.href);
+}
+
+// Rotating keeps the rest of the fingerprint and swaps the user agent for the next one
+function createIdentity(headers, userAgents) {
+  const agents = userAgents && userAgents.length ? userAgents : [headers['user-agent']];
+  let index = 0;
+  return {
+    headers: () => ({ ...headers, 'user-agent': agents[index] }),
+    rotate: () => {
+      index = (index + 1) % agents.length;
+    },
+  };
+}
+
+// fetch takes no proxy agent, so proxied requests go through http/https directly
+function requestWithAgent({ method, url, headers, body, agent, timeoutMs }) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers, agent, timeout: timeoutMs }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+        text: Buffer.concat(chunks).toString('utf8'),
+      }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request to ${url} timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function isCloudflareBlock(status, headers, text) {
+  if (headers && headers.get && headers.get('cf-mitigated')) return true;
+  if (![403, 429, 503].includes(status)) return false;
+  return /cloudflare|cf-chl|just a moment|attention required/i.test(text);
+}
+
+function parseJson(text, url) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createRequestError(`Invalid JSON from ${url}: ${error.message}`);
+  }
+}
+
+function createHttpTransport({ headers = REQUEST_HEADERS, timeoutMs = 15000, proxy = null, userAgents = USER_AGENTS } = {}) {
+  // Neither fetch nor the proxied path decode zstd, so no encoding is asked for
+  const { 'accept-encoding': _, ...baseHeaders } = headers;
+  const identity = createIdentity(baseHeaders, userAgents);
+  const agent = proxy ? createProxyAgent(proxy) : null;
+
+  async function send({ method, url, headers: requestHeaders, body }) {
+    if (agent) {
+      const lengthHeader = body === undefined ? {} : { 'content-length': Buffer.byteLength(body) };
+      return requestWithAgent({ method, url, headers: { ...requestHeaders, ...lengthHeader }, body, agent, timeoutMs });
+    }
+    const response = await fetch(url, { method, headers: requestHeaders, body, signal: AbortSignal.timeout(timeoutMs) });
+    return { status: response.status, headers: response.headers, text: await response.text() };
+  }
+
+  async function request({ method = 'GET', url, body }) {
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+    const response = await send({
+      method,
+      url,
+      headers: payload === undefined ? identity.headers() : { ...identity.headers(), 'content-type': 'application/json' },
+      body: payload,
+    });
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+    if (isCloudflareBlock(response.status, response.headers, response.text)) {
+      throw createRequestError(`Blocked by Cloudflare (HTTP ${response.status}) at ${url}`, { status: response.status, blocked: true, retryAfterMs });
+    }
+    if (response.status >= 400) {
+      throw createRequestError(`HTTP ${response.status} from ${url}`, { status: response.status, retryAfterMs });
+    }
+
+    return { status: response.status, data: parseJson(response.text, url) };
+  }
+
+  return { name: proxy ? `http via ${describeProxy(proxy)}` : 'http', request, rotateUserAgent: identity.rotate, close: async () => {} };
+}
+
+// Chrome takes one proxy per browser, so each proxied transport launches its own
+function createPuppeteerTransport({ headers = REQUEST_HEADERS, launchOptions = {}, proxy = null, userAgents = USER_AGENTS } = {}) {
+  const identity = createIdentity(headers, userAgents);
+  const proxyUrl = proxy ? parseProxy(proxy) : null;
+  if (proxyUrl && proxyUrl.username && proxyUrl.protocol.startsWith('socks')) {
+    throw new Error(`Chrome does not support SOCKS proxies with credentials: ${describeProxy(proxy)}`);
+  }
+  let browser = null;
+
+  async function getBrowser() {
+    if (!browser) {
+      browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', ...(proxyUrl ? [`--proxy-server=${proxyUrl.protocol}//${proxyUrl.host}`] : [])],
+        ignoreHTTPSErrors: true,
+        defaultViewport: { width: 800, height: 600 },
+        ...launchOptions,
+      });
+    }
+    return browser;
+  }
+
+  async function request({ method = 'GET', url, body }) {
+    const page = await (await getBrowser()).newPage();
+    const requestHeaders = identity.headers();
+
+    try {
+      if (proxyUrl && proxyUrl.username) {
+        await page.authenticate({ username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) });
+      }
+      await page.setExtraHTTPHeaders(requestHeaders);
+      await page.setRequestInterception(true);
+
+      page.on('request', (interceptedRequest) => {
+        if (['image', 'stylesheet', 'font', 'media'].includes(interceptedRequest.resourceType())) {
+          interceptedRequest.abort();
+        } else if (interceptedRequest.url() === url && method !== 'GET') {
+          interceptedRequest.continue({
+            method,
+            postData: body === undefined ? undefined : JSON.stringify(body),
+            headers: {
+              ...requestHeaders,
+              'Content-Type': 'application/json'
+            }
+          });
+        } else {
+          interceptedRequest.continue();
+        }
+      });
+
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      const status = response ? response.status() : 0;
+      const retryAfterMs = parseRetryAfter(response && response.headers()['retry-after']);
+      const text = await page.evaluate(() => document.body.textContent);
+
+      if (isCloudflareBlock(status, null, text)) {
+        throw createRequestError(`Blocked by Cloudflare (HTTP ${status}) at ${url}`, { status, blocked: true, retryAfterMs });
+      }
+      if (status >= 400) {
+        throw createRequestError(`HTTP ${status} from ${url}`, { status, retryAfterMs });
+      }
+
+      return { status, data: parseJson(text, url) };
+    } finally {
+      await page.close();
+    }
+  }
+
+  async function close() {
+    if (browser) {
+      await browser.close();
+      browser = null;
+    }
+  }
+
+  return { name: proxy ? `puppeteer via ${describeProxy(proxy)}` : 'puppeteer', request, rotateUserAgent: identity.rotate, close };
+}
+
+function createFallbackTransport(primary, fallback, { onFallback = () => {} } = {}) {
+  let useFallback = false;
+
+  async function request(options) {
+    if (!useFallback) {
+      try {
+        return await primary.request(options);
+      } catch (error) {
+        if (!error.blocked) throw error;
+        useFallback = true;
+        onFallback(error);
+      }
+    }
+    return fallback.request(options);
+  }
+
+  function rotateUserAgent() {
+    [primary, fallback].forEach(transport => transport.rotateUserAgent && transport.rotateUserAgent());
+  }
+
+  async function close() {
+    await Promise.all([primary.close(), fallback.close()]);
+  }
+
+  return { name: `${primary.name}+${fallback.name}`, request, rotateUserAgent, close };
+}
+
+// 429 and 403 responses are retried after an exponentially growing, jittered
+// delay (or the server's Retry-After, when shorter than the cap), each time with
+// the next user agent.
+function createBackoffTransport(transport, {
+  retries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  onRetry = () => {},
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  async function request(options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await transport.request(options);
+      } catch (error) {
+        if (!BACKOFF_STATUSES.includes(error.status) || attempt > retries) throw error;
+        const backoffMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        const delayMs = Math.round(error.retryAfterMs !== null && error.retryAfterMs !== undefined
+          ? Math.min(error.retryAfterMs, maxDelayMs)
+          : backoffMs / 2 + Math.random() * (backoffMs / 2));
+        if (transport.rotateUserAgent) transport.rotateUserAgent();
+        onRetry(error, attempt, delayMs);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  return { name: transport.name, request, rotateUserAgent: transport.rotateUserAgent, close: () => transport.close() };
+}
+
+// `retries: 0` leaves out the backoff wrapper
+function createTransport(type = 'auto', options = {}) {
+  let transport;
+  switch (type) {
+    case 'http':
+      transport = createHttpTransport(options);
+      break;
+    case 'puppeteer':
+      transport = createPuppeteerTransport(options);
+      break;
+    case 'auto':
+      transport = createFallbackTransport(createHttpTransport(options), createPuppeteerTransport(options), options);
+      break;
+    default:
+      throw new Error(`Unknown transport: ${type} (expected http, puppeteer or auto)`);
+  }
+  return options.retries === 0 ? transport : createBackoffTransport(transport, options);
+}
+
+module.exports = {
+  REQUEST_HEADERS,
+  USER_AGENTS,
+  parseRetryAfter,
+  describeProxy,
+  loadProxies,
+  loadUserAgents,
+  createHttpTransport,
+  createPuppeteerTransport,
+  createFallbackTransport,
+  createBackoffTransport,
+  createTransport,
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+function readKeysFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+function readPrivateKeys(env = process.env) {
+  const keys = [];
+
+  if (env.PRIVATE_KEYS_FILE) {
+    keys.push(...readKeysFile(env.PRIVATE_KEYS_FILE));
+  }
+  if (env.PRIVATE_KEYS) {
+    keys.push(...env.PRIVATE_KEYS.split(',').map(key => key.trim()).filter(Boolean));
+  }
+  if (env.PRIVATE_KEY) {
+    keys.push(env.PRIVATE_KEY.trim());
+  }
+
+  const numbered = Object.keys(env)
+    .filter(name => /^PRIVATE_KEY_\d+$/.test(name))
+    .sort((a, b) => parseInt(a.split('_')[2]) - parseInt(b.split('_')[2]));
+  for (const name of numbered) {
+    keys.push(env[name].trim());
+  }
+
+  return keys.map(key => (key.startsWith('0x') ? key : `0x${key}`));
+}
+
+const DEFAULT_MNEMONIC_PATH = "m/44'/60'/0'/0";
+
+/**
+ * @typedef {Object} Account
+ * @property {string} address
+ * @property {string} source Where the key came from, e.g. keystore:./keys/a.json
+ * @property {ethers.Signer} signer Not connected to a provider; connect it per chain
+ */
+
+function listKeystoreFiles(env) {
+  return (env.KEYSTORE_FILES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      if (!fs.statSync(entry).isDirectory()) return [entry];
+      return fs.readdirSync(entry)
+        .filter(name => name.toLowerCase().endsWith('.json'))
+        .sort()
+        .map(name => path.join(entry, name));
+    });
+}
+
+async function decryptKeystore(filePath, passwords, promptPassword) {
+  const json = fs.readFileSync(filePath, 'utf8');
+
+  for (const password of passwords) {
+    try {
+      return await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (error) {
+      // wrong passphrase for this file, try the next one
+    }
+  }
+
+  const password = await promptPassword(filePath);
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    passwords.push(password);
+    return wallet;
+  } catch (error) {
+    throw new Error(`Could not decrypt keystore ${filePath}: ${error.reason || error.message}`);
+  }
+}
+
+// Accepts "3", "0-4" or a mix such as "0-2,5,8-9"
+function parseIndexRange(value) {
+  const indexes = [];
+  for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`Invalid mnemonic index range: ${value}`);
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (to < from) throw new Error(`Invalid mnemonic index range: ${value}`);
+    for (let index = from; index <= to; index++) indexes.push(index);
+  }
+  return indexes;
+}
+
+function deriveMnemonicAccounts(env) {
+  const mnemonic = env.MNEMONIC_FILE ? fs.readFileSync(env.MNEMONIC_FILE, 'utf8').trim() : (env.MNEMONIC || '').trim();
+  if (!mnemonic) return [];
+
+  const basePath = (env.MNEMONIC_PATH || DEFAULT_MNEMONIC_PATH).replace(/\/+$/, '');
+  return parseIndexRange(env.MNEMONIC_INDEXES || '0').map((index) => {
+    try {
+      const signer = ethers.Wallet.fromMnemonic(mnemonic, `${basePath}/${index}`);
+      return { address: signer.address, source: `mnemonic:${index}`, signer };
+    } catch (error) {
+      throw new Error(`Invalid mnemonic: ${error.reason || error.message}`);
+    }
+  });
+}
+
+/** @returns {Promise<Array<Account>>} */
+async function loadSigners(env = process.env, { promptPassword = async () => '' } = {}) {
+  const accounts = readPrivateKeys(env).map((key, index) => {
+    try {
+      const signer = new ethers.Wallet(key);
+      return { address: signer.address, source: 'private key', signer };
+    } catch (error) {
+      throw new Error(`Invalid private key #${index + 1}: ${error.reason || error.message}`);
+    }
+  });
+
+  const keystoreFiles = listKeystoreFiles(env);
+  const passwords = env.KEYSTORE_PASSWORD !== undefined ? [env.KEYSTORE_PASSWORD] : [];
+  for (const filePath of keystoreFiles) {
+    const signer = await decryptKeystore(filePath, passwords, promptPassword);
+    accounts.push({ address: signer.address, source: `keystore:${filePath}`, signer });
+  }
+
+  accounts.push(...deriveMnemonicAccounts(env));
+
+  if (!accounts.length) {
+    throw new Error('No signers configured (set KEYSTORE_FILES, MNEMONIC, PRIVATE_KEY, PRIVATE_KEYS, PRIVATE_KEY_<n> or PRIVATE_KEYS_FILE)');
+  }
+
+  const seen = new Set();
+  return accounts.filter(({ address }) => {
+    if (seen.has(address)) return false;
+    seen.add(address);
+    return true;
+  });
+}
+
+async function loadTreasury(env = process.env, { promptPassword = async () => '' } = {}) {
+  if (env.TREASURY_KEYSTORE) {
+    const passwords = env.TREASURY_KEYSTORE_PASSWORD !== undefined ? [env.TREASURY_KEYSTORE_PASSWORD] : [];
+    return decryptKeystore(env.TREASURY_KEYSTORE, passwords, promptPassword);
+  }
+  if (env.TREASURY_PRIVATE_KEY) {
+    const key = env.TREASURY_PRIVATE_KEY.trim();
+    try {
+      return new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`);
+    } catch (error) {
+      throw new Error(`Invalid treasury private key: ${error.reason || error.message}`);
+    }
+  }
+  throw new Error('No treasury wallet configured (set TREASURY_KEYSTORE or TREASURY_PRIVATE_KEY)');
+}
+
+function createNonceManager(provider) {
+  const nextNonces = new Map();
+
+  async function reserve(address, count = 1) {
+    const pending = nextNonces.get(address) || provider.getTransactionCount(address, 'pending');
+    const next = pending.then(nonce => nonce + count);
+    nextNonces.set(address, next);
+    next.catch(() => nextNonces.delete(address));
+
+    const baseNonce = await pending;
+    return Array.from({ length: count }, (_, i) => baseNonce + i);
+  }
+
+  // Hands back nonces that were reserved but never broadcast. Only those at the
+  // end of the reservations can be handed out again; the rest are returned, as
+  // later reservations sit above them and the caller has to fill them.
+  async function release(address, nonces) {
+    const current = nextNonces.get(address);
+    if (!current || !nonces.length) return [];
+    const next = await current.catch(() => null);
+    const gaps = [...new Set(nonces)].sort((a, b) => a - b);
+    if (next === null || nextNonces.get(address) !== current) return gaps;
+
+    let rewound = next;
+    while (gaps.length && gaps[gaps.length - 1] === rewound - 1) rewound = gaps.pop();
+    if (rewound !== next) nextNonces.set(address, Promise.resolve(rewound));
+    return gaps;
+  }
+
+  function reset(address) {
+    nextNonces.delete(address);
+  }
+
+  return { reserve, release, reset };
+}
+
+module.exports = {
+  readPrivateKeys,
+  parseIndexRange,
+  loadSigners,
+  loadTreasury,
+  createNonceManager,
+};
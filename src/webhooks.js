@@ -0,0 +1,110 @@
+const EVENTS = ['stage-live', 'tx-sent', 'tx-confirmed', 'revert', 'run-summary'];
+const WEBHOOK_TIMEOUT_MS = 5000;
+const DISCORD_CONTENT_LIMIT = 2000;
+const TELEGRAM_TEXT_LIMIT = 4096;
+
+/**
+ * @typedef {Object} Webhook
+ * @property {string} type generic, discord or telegram
+ * @property {string} url
+ * @property {string} [chatId] Telegram chat to post to
+ */
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/** @returns {Array<Webhook>} */
+function loadWebhooks(env = process.env) {
+  const webhooks = [
+    ...splitList(env.WEBHOOK_URLS).map(url => ({ type: 'generic', url })),
+    ...splitList(env.DISCORD_WEBHOOK_URLS).map(url => ({ type: 'discord', url })),
+  ];
+
+  if (env.TELEGRAM_BOT_TOKEN || env.TELEGRAM_CHAT_ID) {
+    if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) {
+      throw new Error('Telegram notifications need both TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+    }
+    webhooks.push({
+      type: 'telegram',
+      url: `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      chatId: env.TELEGRAM_CHAT_ID,
+    });
+  }
+  return webhooks;
+}
+
+function parseEvents(value) {
+  const events = splitList(value);
+  if (!events.length) return EVENTS;
+  const unknown = events.filter(event => !EVENTS.includes(event));
+  if (unknown.length) {
+    throw new Error(`Unknown webhook event(s): ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+  }
+  return events;
+}
+
+function buildPayload(webhook, { event, message, data, timestamp }) {
+  switch (webhook.type) {
+    case 'discord':
+      return { content: `**${event}** ${message}`.slice(0, DISCORD_CONTENT_LIMIT) };
+    case 'telegram':
+      return { chat_id: webhook.chatId, text: `[${event}] ${message}`.slice(0, TELEGRAM_TEXT_LIMIT), disable_web_page_preview: true };
+    default:
+      return { event, timestamp, message, data };
+  }
+}
+
+// Telegram URLs carry the bot token, so only the host is ever logged
+function describeWebhook({ type, url }) {
+  try {
+    return `${type} webhook ${new URL(url).host}`;
+  } catch (error) {
+    return `${type} webhook`;
+  }
+}
+
+// Delivery is fire-and-forget so a slow endpoint never holds up minting. Failures
+// are reported through onError and never thrown; flush() waits for anything still
+// in flight before the process exits.
+function createNotifier({ webhooks = [], events = EVENTS, onError = () => {}, timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const pending = new Set();
+
+  async function deliver(webhook, notification) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(buildPayload(webhook, notification)),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      onError(new Error(`${describeWebhook(webhook)} failed for ${notification.event}: ${error.message}`));
+    }
+  }
+
+  function notify(event, message, data = {}) {
+    if (!webhooks.length || !events.includes(event)) return;
+    const notification = { event, message, data, timestamp: new Date().toISOString() };
+
+    webhooks.forEach((webhook) => {
+      const delivery = deliver(webhook, notification).finally(() => pending.delete(delivery));
+      pending.add(delivery);
+    });
+  }
+
+  async function flush() {
+    await Promise.all([...pending]);
+  }
+
+  return { enabled: webhooks.length > 0, notify, flush };
+}
+
+module.exports = {
+  EVENTS,
+  loadWebhooks,
+  parseEvents,
+  buildPayload,
+  createNotifier,
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, buildJobs } = require('../src/cli.js');
+
+test('parseArgs rejects an unknown command and asks for the usage', () => {
+  assert.throws(() => parseArgs(['mnit', '--count', '1']), (error) => error.message === 'Unknown command: mnit' && error.showUsage);
+  assert.strictEqual(parseArgs(['watch']).command, 'watch');
+  assert.strictEqual(parseArgs(['--count', '1']).command, 'mint');
+  assert.strictEqual(parseArgs(['mnit', '--help']).command, 'help');
+});
+
+test('job entries override flags, which override the job file defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-jobs-'));
+  const file = path.join(dir, 'jobs.json');
+  fs.writeFileSync(file, JSON.stringify({
+    count: 1,
+    stage: 1,
+    jobs: [
+      { link: 'https://magiceden.io/launchpad/a', count: 3, yes: false },
+      { link: 'https://magiceden.io/launchpad/b' },
+    ],
+  }));
+  try {
+    const { options } = parseArgs(['--job', file, '--count', '2', '--yes']);
+    const [first, second] = buildJobs(options);
+    assert.strictEqual(first.count, 3);
+    assert.strictEqual(first.yes, false);
+    assert.strictEqual(first.stage, 1);
+    assert.strictEqual(second.count, 2);
+    assert.strictEqual(second.yes, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
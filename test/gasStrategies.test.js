@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { createGasStrategy } = require('../src/gasStrategies.js');
+
+const gwei = (value) => ethers.utils.parseUnits(String(value), 'gwei');
+
+test('the multiplier strategy scales EIP-1559 fees', async () => {
+  const provider = { getFeeData: async () => ({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(2), gasPrice: gwei(6) }) };
+  const fees = await createGasStrategy({ multiplier: 2 }).fees(provider);
+  assert.strictEqual(fees.maxFeePerGas.toString(), gwei(20).toString());
+  assert.strictEqual(fees.maxPriorityFeePerGas.toString(), gwei(4).toString());
+});
+
+test('the multiplier strategy falls back to the gas price without EIP-1559 fees', async () => {
+  const provider = { getFeeData: async () => ({ maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: gwei(5) }) };
+  const fees = await createGasStrategy({ multiplier: 2, maxFee: 8 }).fees(provider);
+  assert.strictEqual(fees.maxFeePerGas.toString(), gwei(8).toString());
+  assert.strictEqual(fees.maxPriorityFeePerGas.toString(), gwei(8).toString());
+  assert.strictEqual(fees.capped, true);
+});
+
+test('the multiplier strategy fails readably without any fee data', async () => {
+  const provider = { getFeeData: async () => ({ maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: null }) };
+  await assert.rejects(createGasStrategy().fees(provider), /neither EIP-1559 fees nor a gas price/);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MagicEdenClient } = require('../src/magicEdenClient.js');
+
+const transportAnswering = data => ({ name: 'stub', request: async () => ({ status: 200, data }), close: async () => {} });
+
+test('allowlist proofs are off without a proof path', async () => {
+  const client = new MagicEdenClient({ transport: transportAnswering({ proof: [] }) });
+  await assert.rejects(client.getAllowlistProof('0x1', 'al', '0x2'), /Allowlist proofs are off/);
+});
+
+test('an empty proof is accepted and a missing one is not', async () => {
+  const client = new MagicEdenClient({ transport: transportAnswering({ proof: [] }), allowlistProofPath: '/proof' });
+  assert.deepStrictEqual(await client.getAllowlistProof('0x1', 'al', '0x2'), { stageId: 'al', proof: [] });
+
+  const missing = new MagicEdenClient({ transport: transportAnswering({}), allowlistProofPath: '/proof' });
+  await assert.rejects(missing.getAllowlistProof('0x1', 'al', '0x2'), /No allowlist proof returned/);
+});
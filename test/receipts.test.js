@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { explainRevert, classifyCallResult } = require('../src/receipts.js');
+
+const errors = new ethers.utils.Interface(['error WalletLimitExceeded()']);
+const revertString = reason => `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)}`;
+const tx = { to: ethers.constants.AddressZero, data: '0x', value: 0, nonce: 1, maxFeePerGas: 1, maxPriorityFeePerGas: 1 };
+const receipt = { from: ethers.constants.AddressZero, blockNumber: 10 };
+const providerReturning = data => ({ call: async () => data });
+
+test('explainRevert decodes a revert string the call resolved with', async () => {
+  const failure = await explainRevert(providerReturning(revertString('Sold out')), tx, receipt);
+  assert.deepStrictEqual(failure, { reason: 'sold-out', retryable: false, message: 'Sold out' });
+});
+
+test('explainRevert decodes a custom error the call resolved with', async () => {
+  const data = errors.encodeErrorResult('WalletLimitExceeded', []);
+  const failure = await explainRevert(providerReturning(data), tx, receipt);
+  assert.strictEqual(failure.reason, 'max-per-wallet');
+  assert.strictEqual(failure.message, 'WalletLimitExceeded');
+});
+
+test('explainRevert falls back to a generic revert when the replay returns nothing', async () => {
+  const failure = await explainRevert(providerReturning('0x'), tx, receipt);
+  assert.deepStrictEqual(failure, { reason: 'reverted', retryable: false, message: 'Transaction reverted' });
+});
+
+test('classifyCallResult leaves ABI return data alone', () => {
+  assert.strictEqual(classifyCallResult(ethers.utils.defaultAbiCoder.encode(['uint256'], [7])), null);
+  assert.strictEqual(classifyCallResult('0x'), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { simulateMint, isSimulationBlocking } = require('../src/simulation.js');
+
+const errors = new ethers.utils.Interface(['error MaxSupplyExceeded()']);
+const tx = { to: ethers.constants.AddressZero, data: '0x', value: 0, gasLimit: 500000, nonce: 0 };
+
+test('simulateMint fails at eth_call when the call resolves with revert data', async () => {
+  const provider = {
+    call: async () => errors.encodeErrorResult('MaxSupplyExceeded', []),
+    estimateGas: async () => { throw new Error('estimateGas should not run'); },
+  };
+  const result = await simulateMint(provider, tx, ethers.constants.AddressZero);
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.step, 'eth_call');
+  assert.strictEqual(result.failure.reason, 'sold-out');
+  assert.ok(isSimulationBlocking(result));
+});
+
+test('simulateMint passes a call that returns nothing and adds the gas buffer', async () => {
+  const provider = { call: async () => '0x', estimateGas: async () => ethers.BigNumber.from(100000) };
+  const result = await simulateMint(provider, tx, ethers.constants.AddressZero);
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.gasLimit.toString(), '120000');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectSweepTokens, buildSweepTransfers } = require('../src/sweep.js');
+
+const collectionId = '0x00000000000000000000000000000000000000aa';
+const target = { collectionId, protocol: 'erc1155', tokenId: '3' };
+
+test('collectSweepTokens reports mints without a decoded token as unknown', () => {
+  const results = [
+    { status: 'success', hash: '0x01', tokens: [{ contract: collectionId.toUpperCase().replace('0X', '0x'), tokenId: '3', amount: '2' }] },
+    { status: 'success', hash: '0x02', tokens: [] },
+    { status: 'success', hash: '0x03', tokens: [{ contract: '0x00000000000000000000000000000000000000bb', tokenId: '3', amount: '1' }] },
+    { status: 'reverted', hash: '0x04', tokens: [] },
+  ];
+  const { tokens, unknown } = collectSweepTokens(target, results);
+  assert.deepStrictEqual(tokens.map(token => token.amount), ['2']);
+  assert.deepStrictEqual(unknown.map(result => result.hash), ['0x02', '0x03']);
+});
+
+test('buildSweepTransfers sends nothing when no token was decoded', () => {
+  const { tokens } = collectSweepTokens(target, [{ status: 'success', hash: '0x02', tokens: [] }]);
+  assert.deepStrictEqual(buildSweepTransfers(target, collectionId, collectionId, tokens), []);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNonceManager } = require('../src/wallets.js');
+
+const address = '0x0000000000000000000000000000000000000001';
+const provider = { getTransactionCount: async () => 7 };
+
+test('release hands the last reserved nonces out again', async () => {
+  const nonceManager = createNonceManager(provider);
+  assert.deepStrictEqual(await nonceManager.reserve(address, 3), [7, 8, 9]);
+  assert.deepStrictEqual(await nonceManager.release(address, [8, 9]), []);
+  assert.deepStrictEqual(await nonceManager.reserve(address, 1), [8]);
+});
+
+test('release returns nonces that later reservations sit above', async () => {
+  const nonceManager = createNonceManager(provider);
+  await nonceManager.reserve(address, 2);
+  await nonceManager.reserve(address, 2);
+  assert.deepStrictEqual(await nonceManager.release(address, [8, 10, 9]), []);
+  assert.deepStrictEqual(await nonceManager.reserve(address, 1), [8]);
+
+  await nonceManager.reserve(address, 2);
+  assert.deepStrictEqual(await nonceManager.release(address, [8, 10]), [8]);
+  assert.deepStrictEqual(await nonceManager.reserve(address, 1), [10]);
+});
@@ -1,3 +1,81 @@
 module.exports = {
-  RPC_URL: "https://testnet-rpc.monad.xyz",
+  RPC_TIMEOUT_MS: 10000,
+  RPC_HEALTH_INTERVAL_MS: 15000,
+  ME_API_BASE_URL: "https://api-mainnet.magiceden.io",
+  ME_TRANSPORT: "auto",
+  ME_CACHE_TTL_MS: 10000,
+  ME_MAX_RETRIES: 4,
+  ME_BACKOFF_BASE_MS: 1000,
+  // Experimental and off by default: the proof endpoint is unverified
+  ME_ALLOWLIST_PROOF_PATH: null,
+  DEFAULT_CHAIN: "monad-testnet",
+  // Keyed by the chain slug Magic Eden uses in its URLs and API paths
+  CHAINS: {
+    "monad-testnet": {
+      chainId: 10143,
+      rpcUrls: ["https://testnet-rpc.monad.xyz"],
+      explorerUrl: "https://testnet.monadexplorer.com/tx/",
+      symbol: "MON",
+    },
+    monad: {
+      chainId: 143,
+      rpcUrls: ["https://rpc.monad.xyz"],
+      explorerUrl: "https://monadscan.com/tx/",
+      symbol: "MON",
+    },
+    ethereum: {
+      chainId: 1,
+      rpcUrls: ["https://ethereum-rpc.publicnode.com", "https://eth.llamarpc.com"],
+      explorerUrl: "https://etherscan.io/tx/",
+      symbol: "ETH",
+    },
+    base: {
+      chainId: 8453,
+      rpcUrls: ["https://mainnet.base.org", "https://base-rpc.publicnode.com"],
+      explorerUrl: "https://basescan.org/tx/",
+      symbol: "ETH",
+    },
+    arbitrum: {
+      chainId: 42161,
+      rpcUrls: ["https://arb1.arbitrum.io/rpc", "https://arbitrum-one-rpc.publicnode.com"],
+      explorerUrl: "https://arbiscan.io/tx/",
+      symbol: "ETH",
+    },
+    polygon: {
+      chainId: 137,
+      rpcUrls: ["https://polygon-rpc.com", "https://polygon-bor-rpc.publicnode.com"],
+      explorerUrl: "https://polygonscan.com/tx/",
+      symbol: "POL",
+    },
+    bsc: {
+      chainId: 56,
+      rpcUrls: ["https://bsc-dataseed.bnbchain.org", "https://bsc-rpc.publicnode.com"],
+      explorerUrl: "https://bscscan.com/tx/",
+      symbol: "BNB",
+    },
+    apechain: {
+      chainId: 33139,
+      rpcUrls: ["https://rpc.apechain.com"],
+      explorerUrl: "https://apescan.io/tx/",
+      symbol: "APE",
+    },
+    abstract: {
+      chainId: 2741,
+      rpcUrls: ["https://api.mainnet.abs.xyz"],
+      explorerUrl: "https://abscan.org/tx/",
+      symbol: "ETH",
+    },
+    berachain: {
+      chainId: 80094,
+      rpcUrls: ["https://rpc.berachain.com"],
+      explorerUrl: "https://berascan.com/tx/",
+      symbol: "BERA",
+    },
+    sei: {
+      chainId: 1329,
+      rpcUrls: ["https://evm-rpc.sei-apis.com"],
+      explorerUrl: "https://seitrace.com/tx/",
+      symbol: "SEI",
+    },
+  },
 };